@@ -3,9 +3,23 @@ const path = require('path');
 const os = require('os');
 const InquiryStore = require('./lib/inquiry');
 const extractor = require('./lib/extractor');
+const languages = require('./lib/languages');
+const contextBlocks = require('./lib/context-blocks');
 const reflect = require('./lib/reflect');
 const writer = require('./lib/writer');
 const filter = require('./lib/filter');
+const FilterLists = require('./lib/filter-lists');
+const LLMCache = require('./lib/llm-cache');
+const dedup = require('./lib/dedup');
+const UsageTracker = require('./lib/usage');
+const EmbeddingCache = require('./lib/embedding-cache');
+const fixtures = require('./lib/fixtures');
+const prompts = require('./lib/prompts');
+const retrieval = require('./lib/retrieval');
+const quality = require('./lib/quality');
+const pipelines = require('./lib/pipeline');
+const { shared: executor } = require('./lib/executor');
+const { tryReadJson } = require('./lib/atomic');
 
 function deepMerge(target, source) {
   const result = { ...target };
@@ -39,40 +53,48 @@ function ensureDir(dirPath) {
  * Generate 2-3 topic tags for an inquiry via LLM.
  * Called asynchronously after inquiry creation — doesn't block the hook.
  */
-async function tagInquiry(store, inquiry, config, logger) {
+async function tagInquiry(state, inquiry, config, logger) {
   if (!config.tagging?.enabled) return;
 
-  const prompt = [
-    'Given this question an AI agent is contemplating, generate 2-3 short topic tags (1-2 words each).',
-    'Return ONLY a JSON array of lowercase strings, nothing else.',
-    '',
-    `Question: "${inquiry.question}"`,
-    '',
-    'Tags:'
-  ].join('\n');
+  // Tags depend on the question, so a recurring question reuses them
+  const llmOptions = reflect.resolveLLMOptions(config.llm, config.tagging, 'http://127.0.0.1:11434/v1/chat/completions');
+  const model = LLMCache.modelKey(llmOptions);
+  const cached = state.llmCache?.get('tagging', model, inquiry.question);
+  if (cached) {
+    applyTags(state, inquiry, cached, logger, ' (cached)');
+    return;
+  }
+  if (state.usage?.isExhausted()) return;
+
+  const { template } = prompts.resolveTemplate('tagging', {
+    dir: prompts.resolveDir(config.prompts, state.workspacePath),
+    promptsConfig: config.prompts
+  });
+  const prompt = prompts.render(template, {
+    question: inquiry.question,
+    context: inquiry.context || '(none)',
+    tags: (inquiry.tags || []).join(', ') || '(none)',
+    agentId: state.agentId
+  });
 
   try {
-    const result = await reflect.callLLM({
-      endpoint: config.llm?.endpoint || 'http://127.0.0.1:11434/v1/chat/completions',
-      model: config.llm?.model,
+    const { text, usage: callUsage, provider } = await reflect.callLLMDetailed({
+      ...llmOptions,
       prompt,
-      temperature: 0.3,
-      maxTokens: 100,
-      timeoutMs: config.llm?.timeoutMs ?? 15000,
-      apiKey: config.llm?.apiKey || null,
-      format: config.llm?.format || null
+      temperature: llmOptions.temperature ?? 0.3,
+      maxTokens: llmOptions.maxTokens ?? 100,
+      timeoutMs: llmOptions.timeoutMs ?? 15000
     });
+    if (state.usage) state.usage.record('tagging', { model: provider?.model, usage: callUsage });
 
     // Parse tags from LLM response — handle various formats
-    const match = result.match(/\[.*\]/s);
+    const match = text.match(/\[.*\]/s);
     if (match) {
       const tags = JSON.parse(match[0]);
       if (Array.isArray(tags) && tags.every(t => typeof t === 'string')) {
-        inquiry.tags = tags.map(t => t.toLowerCase().trim()).slice(0, 4);
-        store.persist();
-        if (logger) {
-          logger.info(`[Contemplation] Tagged ${inquiry.id}: [${inquiry.tags.join(', ')}]`);
-        }
+        const cleaned = tags.map(t => t.toLowerCase().trim()).slice(0, 4);
+        if (state.llmCache) state.llmCache.set('tagging', model, inquiry.question, cleaned);
+        applyTags(state, inquiry, cleaned, logger, '');
       }
     }
   } catch (err) {
@@ -82,6 +104,14 @@ async function tagInquiry(store, inquiry, config, logger) {
   }
 }
 
+function applyTags(state, inquiry, tags, logger, note) {
+  inquiry.tags = tags;
+  state.store.persist(inquiry);
+  if (logger) {
+    logger.info(`[Contemplation] Tagged ${inquiry.id}: [${inquiry.tags.join(', ')}]${note}`);
+  }
+}
+
 /**
  * Resolve output paths per-agent based on workspace.
  * Avoids hardcoding any single agent's workspace path in config.
@@ -109,17 +139,75 @@ module.exports = {
     const baseDataDir = path.join(__dirname, 'data');
     ensureDir(path.join(baseDataDir, 'agents'));
 
+    try {
+      fixtures.configure(config.fixtures);
+    } catch (err) {
+      api.logger.warn(`[Contemplation] ${err.message} — using "off"`);
+      fixtures.configure({ ...config.fixtures, mode: 'off' });
+    }
+    const fixtureSettings = fixtures.current();
+    if (fixtureSettings.mode !== 'off') {
+      api.logger.warn(`[Contemplation] LLM fixtures in ${fixtureSettings.mode} mode (${fixtureSettings.dir})`);
+    }
+
+    // Surface broken user language packs once instead of on every exchange
+    const languagePacks = languages.loadPacks(config.extraction?.languages);
+    for (const err of languagePacks.errors) {
+      api.logger.warn(`[Contemplation] ${err.message}`);
+    }
+    api.logger.info(`[Contemplation] Language packs: ${Object.keys(languagePacks.packs).join(', ')}`);
+
+    // Same for custom filter categories and an unknown classifier mode
+    for (const err of filter.loadCategories(config.filter).errors) {
+      api.logger.warn(`[Contemplation] ${err.message}`);
+    }
+    const classifierMode = config.filter?.classifierMode;
+    if (classifierMode && !filter.CLASSIFIER_MODES.includes(classifierMode)) {
+      api.logger.warn(`[Contemplation] Unknown filter.classifierMode "${classifierMode}" — using "hybrid"`);
+    }
+
     const states = new Map();
 
     function getState(agentId) {
       const id = agentId || 'main';
       if (!states.has(id)) {
-        states.set(id, {
+        let store;
+        try {
+          store = InquiryStore.open(baseDataDir, id, config.passes, config.priority, config.pipelines, config.storage);
+        } catch (err) {
+          // Corrupt inquiries.json with no usable backup — fail loudly, don't start empty
+          api.logger.error(`[Contemplation] Cannot load inquiry store for agent "${id}": ${err.message}`);
+          throw err;
+        }
+        if (store.recoveredFrom === 'backup') {
+          api.logger.warn(`[Contemplation] Inquiry store for agent "${id}" was unreadable — recovered from backup`);
+        } else if (store.recoveredFrom === 'json-migration') {
+          api.logger.info(`[Contemplation] Migrated inquiries.json to SQLite for agent "${id}"`);
+        }
+        const state = {
           agentId: id,
-          store: new InquiryStore(baseDataDir, id, config.passes, config.priority),
-          processing: false,
+          store,
+          embeddings: new EmbeddingCache(config.dedup?.embeddingCacheSize), // id → vector, for dedup and retrieval
+          usage: new UsageTracker(baseDataDir, id, config.budget),
+          filterLists: new FilterLists(baseDataDir, id),
+          llmCache: new LLMCache(baseDataDir, id, config.cache),
           workspacePath: null // set on first event with metadata
-        });
+        };
+        // Files that can be rebuilt are reset rather than failing the agent
+        if (state.usage.recoveredFrom === 'backup') {
+          api.logger.warn(`[Contemplation] usage.json for agent "${id}" was unreadable — recovered from backup`);
+        } else if (state.usage.recoveredFrom === 'reset') {
+          api.logger.warn(`[Contemplation] usage.json for agent "${id}" was unreadable — moved aside, today's usage starts from zero`);
+        }
+        if (state.filterLists.recoveredFrom === 'backup') {
+          api.logger.warn(`[Contemplation] filter-lists.json for agent "${id}" was unreadable — recovered from backup`);
+        } else if (state.filterLists.recoveredFrom === 'reset') {
+          api.logger.warn(`[Contemplation] filter-lists.json for agent "${id}" was unreadable — moved aside, allow and deny lists start empty`);
+        }
+        if (state.llmCache.recoveredFrom === 'reset') {
+          api.logger.warn(`[Contemplation] llm-cache.json for agent "${id}" was unreadable — moved aside, starting with an empty cache`);
+        }
+        states.set(id, state);
         api.logger.info(`[Contemplation] Initialized state for agent "${id}"`);
       }
       return states.get(id);
@@ -129,6 +217,28 @@ module.exports = {
     global.__ocContemplation = global.__ocContemplation || {};
     global.__ocContemplation.getState = getState;
 
+    // Every pass from every agent runs through the shared executor
+    executor.configure(config.concurrency);
+    global.__ocContemplation.executor = executor;
+
+    // Context blocks other plugins inject, stripped before gap extraction.
+    // Plugins that load first can queue specs on pendingContextBlocks.
+    try {
+      contextBlocks.shared.configure(config.extraction?.contextBlocks);
+    } catch (err) {
+      api.logger.warn(`[Contemplation] ${err.message}`);
+    }
+    global.__ocContemplation.registerContextBlocks = (source, spec) => contextBlocks.shared.register(source, spec);
+    global.__ocContemplation.unregisterContextBlocks = source => contextBlocks.shared.unregister(source);
+    for (const { source, ...spec } of global.__ocContemplation.pendingContextBlocks || []) {
+      try {
+        contextBlocks.shared.register(source, spec);
+      } catch (err) {
+        api.logger.warn(`[Contemplation] ${err.message}`);
+      }
+    }
+    global.__ocContemplation.pendingContextBlocks = [];
+
     /**
      * Get output paths for an agent, resolving workspace from state or event.
      */
@@ -152,7 +262,8 @@ module.exports = {
       let wrote = 0;
       for (const inquiry of pending) {
         try {
-          writer.appendGrowthVector(outputPaths.growthVectorsPath, inquiry);
+          const vector = writer.appendGrowthVector(outputPaths.growthVectorsPath, inquiry);
+          state.store.recordGrowthVector(vector);
           if (outputPaths.insightsPath) {
             writer.writeInsightFile(outputPaths.insightsPath, inquiry);
           }
@@ -169,62 +280,407 @@ module.exports = {
       return wrote;
     }
 
-    async function runOneDuePass(state, ctx, task) {
-      if (state.processing) return false;
-      // Check if this is a forced run (manual trigger, immediate high-prio, or restart recovery)
-      const forceRun = task?.forceRun === true
-        || task?.source === 'manual'
-        || task?.source === 'immediate'
-        || task?.source === 'immediate-restart';
-      const due = state.store.getDuePass(Date.now(), forceRun);
-      if (!due) return false;
+    /**
+     * Add a (filtered) gap to the store, or merge it into a near-duplicate
+     * open or recently completed inquiry. New inquiries get tagged async.
+     * Returns { inquiry, merged }.
+     */
+    async function queueInquiry(state, gap) {
+      if (config.dedup?.enabled !== false) {
+        const match = await dedup.findDuplicate({
+          question: gap.question,
+          candidates: state.store.getDedupCandidates(config.dedup?.recentCompletedMs),
+          dedupConfig: config.dedup,
+          embed: reflect.embed,
+          embeddingCache: state.embeddings
+        });
+        if (match) {
+          const inquiry = state.store.mergeInquiry(match.inquiry.id, gap, match);
+          api.logger.info(
+            `[Contemplation:${state.agentId}] Merged "${gap.question.substring(0, 60)}" into ${inquiry.id} ` +
+            `(${match.method} similarity ${match.similarity.toFixed(2)})`
+          );
+          return { inquiry, merged: true };
+        }
+      }
+
+      const inquiry = state.store.addInquiry(gap);
+      // Tag asynchronously — don't block the caller
+      tagInquiry(state, inquiry, config, api.logger).catch(() => {});
+      return { inquiry, merged: false };
+    }
+
+    /**
+     * LLM caller for the filter's classifier stage that records usage.
+     * Returns null once the daily budget is exhausted, so the filter
+     * falls back to its regex stage only.
+     */
+    function filterCaller(state) {
+      if (state.usage.isExhausted()) return null;
+      return async opts => {
+        const { text, usage, provider } = await reflect.callLLMDetailed(opts);
+        state.usage.record('filter', { model: provider?.model, usage });
+        return text;
+      };
+    }
+
+    /**
+     * Run a gap through the filter, the agent's allow/deny lists first. A
+     * blocked gap is logged with its fields so it can be restored as it was.
+     */
+    function checkFilter(state, gap) {
+      const { source, context, origin, entropy, score, tags, pipeline, priority } = gap;
+      return filter.shouldBlock(gap.question, config, filterCaller(state), promptOptions(state), {
+        lists: state.filterLists,
+        cache: state.llmCache,
+        inquiry: { source, context, origin: origin || null, entropy, score, tags, pipeline, priority }
+      });
+    }
+
+    /**
+     * Gaps from a finished exchange: the user's gaps per `extraction.mode`
+     * plus, with `extraction.agentHedging.enabled`, the agent's own hedges.
+     */
+    async function extractGaps(state, { messages, entropy, source, origin }) {
+      // Candidates restating an open (or recently finished) inquiry rank lower
+      const openQuestions = state.store.getDedupCandidates(config.dedup?.recentCompletedMs).map(i => i.question);
+      const gaps = await extractExchangeGaps(state, { messages, entropy, source, origin, openQuestions });
+      if (!config.extraction?.agentHedging?.enabled) return gaps;
+      return gaps.concat(extractor.identifyHedgeGaps({
+        messages,
+        entropy,
+        extractionConfig: config.extraction,
+        origin,
+        openQuestions
+      }));
+    }
+
+    /**
+     * Gaps per `extraction.mode`: "regex" (the pattern extractor), "llm" (the
+     * model reads the exchange) or "hybrid" (both, merged). LLM extraction
+     * falls back to regex when the budget is exhausted or the call fails.
+     */
+    async function extractExchangeGaps(state, { messages, entropy, source, origin, openQuestions }) {
+      const mode = config.extraction?.mode || 'regex';
+      const regexGaps = () => extractor.identifyGaps({
+        messages,
+        entropy,
+        extractionConfig: config.extraction,
+        source,
+        origin,
+        openQuestions
+      });
+      if (mode === 'regex' || state.usage.isExhausted()) return regexGaps();
+
+      let llmGaps;
+      try {
+        const { template } = prompts.resolveTemplate('extraction', {
+          dir: promptOptions(state).dir,
+          promptsConfig: config.prompts
+        });
+        const llmOptions = reflect.resolveLLMOptions(config.llm, config.extraction?.llm);
+        llmGaps = await extractor.identifyGapsLLM({
+          messages,
+          extractionConfig: config.extraction,
+          source,
+          origin,
+          openQuestions,
+          template,
+          agentId: state.agentId,
+          call: async prompt => {
+            const { text, usage, provider } = await reflect.callLLMDetailed({
+              ...llmOptions,
+              prompt,
+              temperature: llmOptions.temperature ?? 0.2,
+              maxTokens: llmOptions.maxTokens ?? 500,
+              timeoutMs: llmOptions.timeoutMs ?? 30000
+            });
+            state.usage.record('extraction', { model: provider?.model, usage });
+            return text;
+          }
+        });
+      } catch (err) {
+        api.logger.warn(`[Contemplation:${state.agentId}] LLM extraction failed, using regex: ${err.message}`);
+        return regexGaps();
+      }
+
+      if (mode === 'llm') return llmGaps;
+      return extractor.mergeGaps(regexGaps(), llmGaps, config.extraction?.maxGapsPerExchange || 2);
+    }
+
+    /**
+     * Prompt template lookup for an agent (see lib/prompts.js).
+     */
+    function promptOptions(state) {
+      return { dir: prompts.resolveDir(config.prompts, state.workspacePath), agentId: state.agentId };
+    }
+
+    /**
+     * getDuePass options: once the daily budget is exhausted, only
+     * inquiries at or above budget.priorityThreshold keep running.
+     */
+    function dueOptions(state) {
+      if (!state.usage.isExhausted()) return {};
+      return { minPriority: config.budget?.priorityThreshold ?? 100 };
+    }
+
+    /**
+     * Related past insights for a pass whose config sets `retrieve: true`:
+     * growth vectors and completed inquiries, ranked and packed under
+     * retrieval.tokenBudget. Returns { text, items } or null. Never throws —
+     * a pass runs without related insights rather than not at all.
+     */
+    async function retrieveRelated(state, due) {
+      const retrievalConfig = config.retrieval || {};
+      if (!retrievalConfig.enabled) return null;
+      if (!state.store.getPassConfig(due.inquiry, due.passNumber).retrieve) return null;
 
-      state.processing = true;
       try {
-        const output = await reflect.runPass({
+        const { growthVectorsPath } = getOutputPaths(state);
+        const loaded = tryReadJson(growthVectorsPath, d => !!d && typeof d === 'object');
+        const candidates = retrieval.collectCandidates({
           inquiry: due.inquiry,
-          passNumber: due.passNumber,
-          config
+          vectors: loaded.ok ? loaded.data.vectors || [] : [],
+          inquiries: state.store.list()
+        });
+        const ranked = await retrieval.rankRelated({
+          inquiry: due.inquiry,
+          candidates,
+          retrievalConfig,
+          embed: reflect.embed,
+          embedding: retrievalConfig.embedding?.endpoint ? retrievalConfig.embedding : config.dedup?.embedding,
+          embeddingCache: state.embeddings
         });
+        const related = retrieval.buildContext(ranked, retrievalConfig);
+        if (related.items.length === 0) return null;
+        api.logger.info(
+          `[Contemplation:${state.agentId}] Retrieved ${related.items.length} related insights for ${due.inquiry.id} pass ${due.passNumber}`
+        );
+        return related;
+      } catch (err) {
+        api.logger.warn(`[Contemplation:${state.agentId}] Retrieval failed for ${due.inquiry.id}: ${err.message}`);
+        return null;
+      }
+    }
 
-        const updated = state.store.completePass(due.inquiry.id, due.passNumber, output);
-        api.logger.info(`[Contemplation:${state.agentId}] Completed pass ${due.passNumber} for ${due.inquiry.id}`);
-
-        if (updated?.status === 'completed') {
-          await persistCompletedInsights(state);
-          // New growth vector created → trigger crystallization
-          if (global.__ocNightshift?.queueTask) {
-            global.__ocNightshift.queueTask(ctx.agentId, {
-              type: 'crystallization',
-              priority: 25,
-              source: 'contemplation-completion'
+    /**
+     * Quality gate: score a synthesis pass result when `quality.enabled`.
+     * Returns the evaluation, or null when the gate doesn't apply or the
+     * reviewer fails — the synthesis is then accepted as is.
+     */
+    async function evaluateSynthesis(state, due, result) {
+      if (!config.quality?.enabled) return null;
+      if (due.passNumber !== pipelines.getSynthesisPass(due.inquiry)) return null;
+      if (state.usage.isExhausted()) return null;
+
+      try {
+        const options = promptOptions(state);
+        const { template } = prompts.resolveTemplate('critique', { dir: options.dir, promptsConfig: config.prompts });
+        const llmOptions = reflect.resolveLLMOptions(config.llm, config.quality);
+        const evaluation = await quality.evaluate({
+          inquiry: due.inquiry,
+          passNumber: due.passNumber,
+          result,
+          qualityConfig: config.quality,
+          template,
+          agentId: state.agentId,
+          call: async prompt => {
+            const { text, usage, provider } = await reflect.callLLMDetailed({
+              ...llmOptions,
+              prompt,
+              temperature: llmOptions.temperature ?? 0.2,
+              maxTokens: llmOptions.maxTokens ?? 300,
+              timeoutMs: llmOptions.timeoutMs ?? 30000
             });
-            api.logger.info(`[Contemplation:${ctx.agentId}] Queued crystallization task after completing inquiry`);
+            state.usage.record('critique', { model: provider?.model, usage });
+            return text;
+          }
+        });
+        if (!evaluation) {
+          api.logger.warn(`[Contemplation:${state.agentId}] Quality review for ${due.inquiry.id} was unparseable — accepting synthesis`);
+        }
+        return evaluation;
+      } catch (err) {
+        api.logger.warn(`[Contemplation:${state.agentId}] Quality review failed for ${due.inquiry.id}: ${err.message}`);
+        return null;
+      }
+    }
+
+    /**
+     * Run one due pass and record the outcome: completePass on success,
+     * failPass (backoff / dead-letter) on error. Completed inquiries are
+     * persisted and crystallization is queued. Never throws.
+     */
+    async function executePass(state, due) {
+      const { agentId } = state;
+      let result;
+      try {
+        result = await reflect.runPass({
+          inquiry: due.inquiry,
+          passNumber: due.passNumber,
+          config,
+          agentId,
+          promptsDir: promptOptions(state).dir,
+          related: await retrieveRelated(state, due)
+        });
+      } catch (err) {
+        const failed = state.store.failPass(due.inquiry.id, due.passNumber, err, config.retry);
+        const pass = failed?.passes.find(p => p.number === due.passNumber);
+        if (failed?.status === 'failed') {
+          api.logger.error(
+            `[Contemplation:${agentId}] Pass ${due.passNumber} for ${due.inquiry.id} failed permanently after ${pass?.attempts} attempts: ${err.message}`
+          );
+        } else {
+          api.logger.warn(
+            `[Contemplation:${agentId}] Pass ${due.passNumber} for ${due.inquiry.id} failed (attempt ${pass?.attempts}), retrying at ${pass?.retryAt}: ${err.message}`
+          );
+        }
+        return { ok: false, inquiry: failed, error: err };
+      }
+
+      const { output, usage, ...details } = result;
+      state.usage.record('pass', { model: details.provider?.model, usage });
+
+      const evaluation = await evaluateSynthesis(state, due, result);
+      if (evaluation && !evaluation.passed) {
+        const pass = due.inquiry.passes.find(p => p.number === due.passNumber);
+        if ((pass?.rejected?.length || 0) < (config.quality.maxReruns ?? 1)) {
+          const rerun = state.store.rejectPass(due.inquiry.id, due.passNumber, output, evaluation);
+          api.logger.info(
+            `[Contemplation:${agentId}] Synthesis for ${due.inquiry.id} scored ${evaluation.score} — re-running with critique`
+          );
+          return { ok: true, inquiry: rerun };
+        }
+      }
+
+      let updated = state.store.completePass(due.inquiry.id, due.passNumber, output, details);
+      api.logger.info(`[Contemplation:${agentId}] Completed pass ${due.passNumber} for ${due.inquiry.id}`);
+      if (details.structuredErrors) {
+        api.logger.warn(
+          `[Contemplation:${agentId}] Synthesis for ${due.inquiry.id} stayed unstructured: ${details.structuredErrors.join('; ')}`
+        );
+      }
+      if (evaluation) {
+        updated = state.store.recordEvaluation(due.inquiry.id, evaluation);
+        if (!evaluation.passed) {
+          // Out of re-runs: keep the inquiry out of growth vectors
+          const lowQuality = state.store.markLowQuality(due.inquiry.id, evaluation);
+          if (lowQuality.inquiry) {
+            updated = lowQuality.inquiry;
+            api.logger.warn(
+              `[Contemplation:${agentId}] Inquiry ${due.inquiry.id} marked low_quality (score ${evaluation.score}): ${evaluation.critique}`
+            );
           }
         }
+      }
 
-        // Queue another nightshift task in case more passes are due
-        // Preserve high priority from the completed inquiry for next pass
+      if (updated?.status === 'completed') {
+        await persistCompletedInsights(state);
+        // New growth vector created → trigger crystallization
         if (global.__ocNightshift?.queueTask) {
+          global.__ocNightshift.queueTask(agentId, {
+            type: 'crystallization',
+            priority: 25,
+            source: 'contemplation-completion'
+          });
+          api.logger.info(`[Contemplation:${agentId}] Queued crystallization task after completing inquiry`);
+        }
+      }
+
+      return { ok: true, inquiry: updated };
+    }
+
+    function queueNightshift(agentId, task) {
+      if (!global.__ocNightshift?.queueTask) return false;
+      global.__ocNightshift.queueTask(agentId, { type: 'contemplation', ...task });
+      return true;
+    }
+
+    /**
+     * Run the next due pass for an agent through the executor. The due pass
+     * is picked when the job starts, not when it is queued. At most one job
+     * per agent waits behind the running one — it will pick up whatever is
+     * due by then.
+     */
+    async function runOneDuePass(state, ctx, task) {
+      if (executor.pending(state.agentId) > 1) {
+        // This agent already has a pass running and another queued. Rather
+        // than queue more, remember the trigger and replay it once a queued
+        // job finishes (see the finally below)
+        if (!state.deferredRun) {
+          api.logger.info(`[Contemplation:${state.agentId}] Passes already queued — deferring ${task?.source || 'pass'} trigger`);
+        }
+        state.deferredRun = { ctx, task };
+        return false;
+      }
+      // Check if this is a forced run (manual trigger, immediate high-prio, or restart recovery)
+      const forceRun = task?.forceRun === true
+        || task?.source === 'manual'
+        || task?.source === 'immediate'
+        || task?.source === 'immediate-restart';
+
+      try {
+        return await executor.submit(state.agentId, async () => {
+          const due = state.store.getDuePass(Date.now(), forceRun, dueOptions(state));
+          if (!due) return false;
+
+          // A failed attempt is rescheduled with backoff, so other due work
+          // still gets its turn on the next task
+          const result = await executePass(state, due);
+
+          // Queue another nightshift task in case more passes are due
+          // Preserve high priority from the completed inquiry for next pass
           const inquiryPrio = due.inquiry.priority || 0;
           const isHighPrio = inquiryPrio >= 100;
-          global.__ocNightshift.queueTask(ctx.agentId, {
-            type: 'contemplation',
+          queueNightshift(ctx.agentId, {
             priority: isHighPrio ? Math.max(inquiryPrio, 100) : config.nightshift?.priority || 50,
             source: isHighPrio ? 'immediate' : 'contemplation',
             forceRun: isHighPrio
           });
-        }
 
-        return true;
+          return result.ok;
+        });
       } catch (err) {
         api.logger.error(`[Contemplation:${state.agentId}] Pass run failed: ${err.message}`);
         return false;
       } finally {
-        state.processing = false;
+        const deferred = state.deferredRun;
+        if (deferred && executor.pending(state.agentId) <= 1) {
+          state.deferredRun = null;
+          runOneDuePass(state, deferred.ctx, deferred.task);
+        }
       }
     }
 
+    /**
+     * Direct execution for high-priority inquiries (≥ 100): run their passes
+     * back to back without waiting for nightshift, one executor job per pass
+     * so other agents' passes interleave. Stops at the first due pass below
+     * 100, which is handed to nightshift.
+     */
+    function runDirect(state) {
+      const { agentId } = state;
+      return executor.submit(agentId, async () => {
+        const due = state.store.getDuePass(Date.now(), true, dueOptions(state));
+        if (!due) return false;
+        const prio = due.inquiry.priority || 0;
+        if (prio < 100) {
+          queueNightshift(agentId, { priority: prio, source: 'contemplation-requeue' });
+          return false;
+        }
+        // A failed pass keeps its backoff — leave the retry to nightshift
+        const result = await executePass(state, due);
+        return result.ok;
+      }).then(ranPass => {
+        if (ranPass) return runDirect(state);
+        return null;
+      }).catch(err => {
+        api.logger.error(`[Contemplation:${agentId}] Direct execution failed: ${err.message}`);
+        // Fall back to nightshift queue
+        queueNightshift(agentId, { priority: 100, source: 'immediate', forceRun: true });
+      });
+    }
+
     // -----------------------------------------------------------------
     // METABOLISM INTEGRATION: Subscribe to LLM-derived knowledge gaps
     // -----------------------------------------------------------------
@@ -244,8 +700,15 @@ module.exports = {
         global.__ocMetabolism.gapListeners.push(async (gaps, agentId) => {
         const state = getState(agentId);
         for (const gap of gaps) {
+          const candidate = {
+            question: gap.question,
+            source: `metabolism:${gap.sourceId || 'unknown'}`,
+            entropy: 0, // already filtered by metabolism thresholds
+            context: gap.question // the implication IS the context
+          };
+
           // Filter check before adding to queue
-          const filterResult = await filter.shouldBlock(gap.question, config, reflect.callLLM);
+          const filterResult = await checkFilter(state, candidate);
           if (filterResult.blocked) {
             api.logger.info(
               `[Contemplation:${agentId}] Blocked metabolism inquiry: "${gap.question.substring(0, 60)}" (${filterResult.category})`
@@ -253,17 +716,12 @@ module.exports = {
             continue;
           }
 
-          const inquiry = state.store.addInquiry({
-            question: gap.question,
-            source: `metabolism:${gap.sourceId || 'unknown'}`,
-            entropy: 0, // already filtered by metabolism thresholds
-            context: gap.question // the implication IS the context
-          });
-          api.logger.info(
-            `[Contemplation:${agentId}] Queued inquiry from metabolism: ${inquiry.id} — "${gap.question.substring(0, 80)}"`
-          );
-          // Tag asynchronously — don't block the gap listener
-          tagInquiry(state.store, inquiry, config, api.logger).catch(() => {});
+          const { inquiry, merged } = await queueInquiry(state, candidate);
+          if (!merged) {
+            api.logger.info(
+              `[Contemplation:${agentId}] Queued inquiry from metabolism: ${inquiry.id} — "${gap.question.substring(0, 80)}"`
+            );
+          }
         }
       });
         api.logger.info('[Contemplation] Subscribed to metabolism gap events via global bus');
@@ -355,18 +813,17 @@ module.exports = {
       }
 
       const source = event.metadata?.exchangeId || event.metadata?.sessionId || `exchange_${Date.now()}`;
-      const gaps = extractor.identifyGaps({
-        messages,
-        entropy,
-        extractionConfig: config.extraction,
-        source
-      });
+      const origin = {
+        sessionId: event.metadata?.sessionId || null,
+        exchangeId: event.metadata?.exchangeId || null
+      };
+      const gaps = await extractGaps(state, { messages, entropy, source, origin });
 
       if (gaps.length === 0) return;
 
       for (const gap of gaps) {
         // Filter check before adding to queue
-        const filterResult = await filter.shouldBlock(gap.question, config, reflect.callLLM);
+        const filterResult = await checkFilter(state, gap);
         if (filterResult.blocked) {
           api.logger.info(
             `[Contemplation:${state.agentId}] Blocked conversation inquiry: "${gap.question.substring(0, 60)}" (${filterResult.category})`
@@ -374,10 +831,10 @@ module.exports = {
           continue;
         }
 
-        const inquiry = state.store.addInquiry(gap);
-        api.logger.info(`[Contemplation:${state.agentId}] Queued inquiry ${inquiry.id} (from conversation)`);
-        // Tag asynchronously — don't block the hook
-        tagInquiry(state.store, inquiry, config, api.logger).catch(() => {});
+        const { inquiry, merged } = await queueInquiry(state, gap);
+        if (!merged) {
+          api.logger.info(`[Contemplation:${state.agentId}] Queued inquiry ${inquiry.id} (from ${gap.source === 'agent_hedge' ? 'agent hedge' : 'conversation'})`);
+        }
       }
 
       if (global.__ocNightshift?.queueTask) {
@@ -414,27 +871,57 @@ module.exports = {
 
     api.registerGatewayMethod('contemplation.getState', async ({ params, respond }) => {
       const state = getState(params?.agentId);
-      const inquiries = state.store.list();
+      const all = state.store.list();
+      const nowMs = Date.now();
+      const inquiries = (params?.status || params?.tag || params?.source)
+        ? state.store.find({ status: params.status, tag: params.tag, source: params.source })
+        : all;
       respond(true, {
         agentId: state.agentId,
-        active: inquiries.filter(i => i.status === 'in_progress').length,
-        completed: inquiries.filter(i => i.status === 'completed').length,
-        total: inquiries.length,
+        active: all.filter(i => i.status === 'in_progress').length,
+        paused: all.filter(i => i.status === 'paused').length,
+        failed: all.filter(i => i.status === 'failed').length,
+        completed: all.filter(i => i.status === 'completed').length,
+        lowQuality: all.filter(i => i.status === 'low_quality').length,
+        cancelled: all.filter(i => i.status === 'cancelled' || i.status === 'abandoned').length,
+        total: all.length,
+        providers: reflect.getProviderHealth(),
+        executor: executor.stats(),
+        cache: state.llmCache.stats(),
         inquiries: inquiries.map(i => ({
           id: i.id,
           question: i.question,
           status: i.status,
           source: i.source,
           tags: i.tags || [],
+          sources: i.sources || [i.source],
+          merged: i.merged || [],
+          priority: i.priority || 0,
+          effectivePriority: state.store.getEffectivePriority(i, nowMs),
           entropy: i.entropy,
+          gapScore: i.gapScore ?? null,
           context: i.context,
+          origin: i.origin || null,
+          pipeline: i.pipeline || 'default',
+          synthesisPass: i.synthesisPass || null,
           created: i.created,
           completed: i.completed || null,
+          statusHistory: i.statusHistory || [],
+          quality: i.quality || null,
           passes: i.passes.map(p => ({
             number: p.number,
             scheduled: p.scheduled,
             completed: p.completed,
-            output: p.output
+            output: p.output,
+            structured: p.structured || null,
+            provider: p.provider || null,
+            promptVariant: p.promptVariant || null,
+            retrieved: p.retrieved || [],
+            cited: p.cited || [],
+            rejected: p.rejected || [],
+            attempts: p.attempts || 0,
+            lastError: p.lastError || null,
+            retryAt: p.retryAt || null
           }))
         }))
       });
@@ -450,118 +937,37 @@ module.exports = {
 
       const state = getState(agentId);
 
+      const candidate = {
+        question,
+        source: params?.source || 'manual',
+        entropy: params?.entropy || 0,
+        context: params?.context || question,
+        priority: params?.priority,
+        tags: params?.tags || ['manual'],
+        pipeline: params?.pipeline
+      };
+
       // Run filter check
-      const filterResult = await filter.shouldBlock(question, config, reflect.callLLM);
+      const filterResult = await checkFilter(state, candidate);
       if (filterResult.blocked) {
         respond(false, { error: 'blocked_by_filter', category: filterResult.category, reason: filterResult.reason });
         return;
       }
 
-      const inquiry = state.store.addInquiry({
-        question,
-        source: params?.source || 'manual',
-        entropy: params?.entropy || 0,
-        context: params?.context || question,
-        priority: params?.priority,
-        tags: params?.tags || ['manual']
-      });
+      const { inquiry, merged } = await queueInquiry(state, candidate);
 
-      // Tag asynchronously
-      tagInquiry(state.store, inquiry, config, api.logger).catch(() => {});
+      if (merged && inquiry.status !== 'in_progress') {
+        // Folded into a completed or paused inquiry — nothing new to run
+        respond(true, { status: 'merged', inquiryId: inquiry.id, priority: inquiry.priority, merged });
+        return;
+      }
 
-      // High-priority inquiries (≥ 100): attempt direct execution bypassing nightshift queue
+      // High-priority inquiries (≥ 100): direct execution, bypassing the nightshift queue
       const inquiryPriority = inquiry.priority || 0;
-      if (inquiryPriority >= 100 && !state.processing) {
-        // Direct execution — bypass nightshift queue entirely for high-prio tasks
+      if (inquiryPriority >= 100 && executor.pending(agentId) === 0) {
         api.logger.info(`[Contemplation:${agentId}] High-prio inquiry ${inquiry.id} (prio ${inquiryPriority}) — direct execution`);
-        state.processing = true;
-        setImmediate(async () => {
-          try {
-            const mockCtx = { agentId, sessionKey: `agent:${agentId}` };
-            const due = state.store.getDuePass(Date.now(), true);
-            if (due) {
-              const output = await reflect.runPass({
-                inquiry: due.inquiry,
-                passNumber: due.passNumber,
-                config
-              });
-              const updated = state.store.completePass(due.inquiry.id, due.passNumber, output);
-              api.logger.info(`[Contemplation:${agentId}] Direct pass ${due.passNumber} completed for ${due.inquiry.id}`);
-
-              if (updated?.status === 'completed') {
-                await persistCompletedInsights(state);
-                if (global.__ocNightshift?.queueTask) {
-                  global.__ocNightshift.queueTask(agentId, {
-                    type: 'crystallization',
-                    priority: 25,
-                    source: 'contemplation-completion'
-                  });
-                }
-              }
-
-              // Re-queue for next pass — if high priority, recurse directly via setImmediate
-              const nextDue = state.store.getDuePass(Date.now(), true);
-              if (nextDue) {
-                const nextPrio = nextDue.inquiry.priority || 0;
-                if (nextPrio >= 100) {
-                  // Continue direct execution chain — bypass nightshift for next pass too
-                  setImmediate(async () => {
-                    try {
-                      state.processing = true;
-                      const stillDue = state.store.getDuePass(Date.now(), true);
-                      if (stillDue) {
-                        const nextOutput = await reflect.runPass({
-                          inquiry: stillDue.inquiry,
-                          passNumber: stillDue.passNumber,
-                          config
-                        });
-                        const nextUpdated = state.store.completePass(stillDue.inquiry.id, stillDue.passNumber, nextOutput);
-                        api.logger.info(`[Contemplation:${agentId}] Direct pass ${stillDue.passNumber} completed for ${stillDue.inquiry.id}`);
-                        if (nextUpdated?.status === 'completed') {
-                          await persistCompletedInsights(state);
-                        }
-                        // Check for yet another pass
-                        const afterNext = state.store.getDuePass(Date.now(), true);
-                        if (afterNext && (afterNext.inquiry.priority || 0) >= 100 && global.__ocNightshift?.queueTask) {
-                          global.__ocNightshift.queueTask(agentId, {
-                            type: 'contemplation',
-                            priority: afterNext.inquiry.priority || 100,
-                            source: 'immediate',
-                            forceRun: true
-                          });
-                        }
-                      }
-                    } catch (e) {
-                      api.logger.error(`[Contemplation:${agentId}] Direct pass chain failed: ${e.message}`);
-                    } finally {
-                      state.processing = false;
-                    }
-                  });
-                } else if (global.__ocNightshift?.queueTask) {
-                  global.__ocNightshift.queueTask(agentId, {
-                    type: 'contemplation',
-                    priority: nextPrio,
-                    source: 'contemplation-requeue'
-                  });
-                }
-              }
-            }
-          } catch (err) {
-            api.logger.error(`[Contemplation:${agentId}] Direct execution failed: ${err.message}`);
-            // Fall back to nightshift queue
-            if (global.__ocNightshift?.queueTask) {
-              global.__ocNightshift.queueTask(agentId, {
-                type: 'contemplation',
-                priority: Math.max(inquiryPriority, 100),
-                source: 'immediate',
-                forceRun: true
-              });
-            }
-          } finally {
-            state.processing = false;
-          }
-        });
-        respond(true, { status: 'direct_execution', inquiryId: inquiry.id, priority: inquiry.priority });
+        runDirect(state);
+        respond(true, { status: 'direct_execution', inquiryId: inquiry.id, priority: inquiry.priority, merged });
       } else if (global.__ocNightshift?.queueTask) {
         // Normal priority or already processing — queue via nightshift
         const nightshiftPriority = inquiryPriority >= 100
@@ -573,9 +979,9 @@ module.exports = {
           source: inquiryPriority >= 100 ? 'immediate' : 'manual',
           forceRun: inquiryPriority >= 100
         });
-        respond(true, { status: inquiryPriority >= 100 ? 'queued_immediate' : 'queued', inquiryId: inquiry.id, priority: inquiry.priority });
+        respond(true, { status: inquiryPriority >= 100 ? 'queued_immediate' : 'queued', inquiryId: inquiry.id, priority: inquiry.priority, merged });
       } else {
-        respond(true, { status: 'queued', inquiryId: inquiry.id, priority: inquiry.priority });
+        respond(true, { status: 'queued', inquiryId: inquiry.id, priority: inquiry.priority, merged });
       }
     });
 
@@ -583,25 +989,248 @@ module.exports = {
       const agentId = params?.agentId || 'saphira';
       const forceRun = params?.forceRun || false;
       const state = getState(agentId);
-      const due = state.store.getDuePass(Date.now(), forceRun);
+      const due = state.store.getDuePass(Date.now(), forceRun, dueOptions(state));
       if (!due) {
         respond(true, { status: 'no_due_passes', agentId });
         return;
       }
-      // Reset processing flag in case it's stuck
-      state.processing = false;
-      if (global.__ocNightshift?.queueTask) {
-        global.__ocNightshift.queueTask(agentId, {
-          type: 'contemplation',
-          priority: config.nightshift?.priority || 50,
-          source: forceRun ? 'manual' : 'contemplation-manual-requeue'
+      const task = {
+        priority: config.nightshift?.priority || 50,
+        source: forceRun ? 'manual' : 'contemplation-manual-requeue'
+      };
+      if (!queueNightshift(agentId, task)) {
+        // No nightshift — run it on the executor directly
+        runOneDuePass(state, { agentId }, task);
+      }
+      respond(true, { status: 'requeued', agentId, inquiryId: due.inquiry.id, passNumber: due.passNumber });
+    });
+
+    // -----------------------------------------------------------------
+    // Gateway methods: inquiry lifecycle
+    // -----------------------------------------------------------------
+
+    function registerStatusMethod(method, apply, verb, onChanged) {
+      api.registerGatewayMethod(method, async ({ params, respond }) => {
+        const agentId = params?.agentId || 'saphira';
+        if (!params?.inquiryId) {
+          respond(false, { error: 'inquiryId is required' });
+          return;
+        }
+        const state = getState(agentId);
+        const result = apply(state.store, params);
+        if (result.error) {
+          respond(false, { error: result.error, inquiryId: params.inquiryId });
+          return;
+        }
+        api.logger.info(
+          `[Contemplation:${agentId}] ${verb} inquiry ${params.inquiryId} by ${params.by || 'gateway'}` +
+          (params.reason ? ` — ${params.reason}` : '')
+        );
+        if (onChanged) onChanged(agentId, result.inquiry);
+        respond(true, { status: result.inquiry.status, inquiryId: result.inquiry.id });
+      });
+    }
+
+    const changeMeta = params => ({ by: params.by || 'gateway', reason: params.reason || null });
+
+    // abandon: true records a worthwhile inquiry we're giving up on, rather than junk
+    registerStatusMethod('contemplation.cancelInquiry', (store, params) => (
+      params.abandon
+        ? store.abandonInquiry(params.inquiryId, changeMeta(params))
+        : store.cancelInquiry(params.inquiryId, changeMeta(params))
+    ), 'Cancelled');
+    registerStatusMethod('contemplation.pauseInquiry',
+      (store, params) => store.pauseInquiry(params.inquiryId, changeMeta(params)), 'Paused');
+    registerStatusMethod('contemplation.resumeInquiry',
+      (store, params) => store.resumeInquiry(params.inquiryId, changeMeta(params)), 'Resumed',
+      (agentId, inquiry) => {
+        // A resumed inquiry may already be overdue — make sure a runner picks it up
+        if (inquiry.status === 'in_progress' && global.__ocNightshift?.queueTask) {
+          global.__ocNightshift.queueTask(agentId, {
+            type: 'contemplation',
+            priority: config.nightshift?.priority || 50,
+            source: 'contemplation-resume'
+          });
+        }
+      });
+
+    api.registerGatewayMethod('contemplation.listFailed', async ({ params, respond }) => {
+      const state = getState(params?.agentId || 'saphira');
+      const failed = state.store.find({ status: 'failed' });
+      respond(true, {
+        agentId: state.agentId,
+        total: failed.length,
+        inquiries: failed.map(i => {
+          const pass = i.passes.find(p => !p.completed && p.attempts);
+          return {
+            id: i.id,
+            question: i.question,
+            source: i.source,
+            priority: i.priority,
+            failed: i.failed || null,
+            passNumber: pass?.number ?? null,
+            attempts: pass?.attempts ?? 0,
+            lastError: pass?.lastError || null
+          };
+        })
+      });
+    });
+
+    registerStatusMethod('contemplation.retryInquiry',
+      (store, params) => store.retryInquiry(params.inquiryId, changeMeta(params)), 'Retrying',
+      (agentId, inquiry) => {
+        if (global.__ocNightshift?.queueTask) {
+          global.__ocNightshift.queueTask(agentId, {
+            type: 'contemplation',
+            priority: config.nightshift?.priority || 50,
+            source: 'contemplation-retry'
+          });
+        }
+      });
+
+    // -----------------------------------------------------------------
+    // Gateway methods: blocked-inquiry review and allow/deny lists
+    // -----------------------------------------------------------------
+
+    api.registerGatewayMethod('contemplation.listBlocked', async ({ params, respond }) => {
+      const agentId = params?.agentId || 'saphira';
+      const offset = Math.max(0, Number(params?.offset) || 0);
+      const limit = Math.min(100, Math.max(1, Number(params?.limit) || 20));
+      let entries;
+      try {
+        entries = filter.readBlocked(config, { agentId });
+      } catch (err) {
+        respond(false, { error: err.message });
+        return;
+      }
+      // Newest first; restored entries only on request
+      entries = entries
+        .filter(e => (params?.includeRestored || !e.restored) && (!params?.category || e.category === params.category))
+        .reverse();
+      respond(true, { agentId, total: entries.length, offset, limit, entries: entries.slice(offset, offset + limit) });
+    });
+
+    api.registerGatewayMethod('contemplation.restoreBlocked', async ({ params, respond }) => {
+      const agentId = params?.agentId || 'saphira';
+      if (!params?.id) {
+        respond(false, { error: 'id is required' });
+        return;
+      }
+      const state = getState(agentId);
+      const entry = filter.readBlocked(config, { agentId }).find(e => e.id === params.id);
+      if (!entry) {
+        respond(false, { error: 'not_found', id: params.id });
+        return;
+      }
+      if (entry.restored) {
+        respond(false, { error: 'already_restored', id: entry.id, inquiryId: entry.restored.inquiryId });
+        return;
+      }
+
+      // A reviewed restore skips the filter; allow: true keeps it from being blocked again
+      const allowed = params.allow
+        ? state.filterLists.add('allow', { question: entry.question, blockedId: entry.id, note: params.reason || null })
+        : null;
+      const { inquiry, merged } = await queueInquiry(state, filter.restoredGap(entry));
+      filter.recordRestore(config, { id: entry.id, agentId, inquiryId: inquiry.id, by: params.by });
+      api.logger.info(
+        `[Contemplation:${agentId}] Restored blocked inquiry ${entry.id} as ${inquiry.id} by ${params.by || 'gateway'}` +
+        (allowed ? ' (added to allow list)' : '')
+      );
+
+      if (inquiry.status === 'in_progress') {
+        const task = { priority: config.nightshift?.priority || 50, source: 'contemplation-restore' };
+        if (!queueNightshift(agentId, task)) runOneDuePass(state, { agentId }, task);
+      }
+      respond(true, { status: merged ? 'merged' : 'restored', id: entry.id, inquiryId: inquiry.id, priority: inquiry.priority, merged, allowed });
+    });
+
+    api.registerGatewayMethod('contemplation.getFilterLists', async ({ params, respond }) => {
+      const state = getState(params?.agentId || 'saphira');
+      respond(true, { agentId: state.agentId, ...state.filterLists.list() });
+    });
+
+    api.registerGatewayMethod('contemplation.addFilterListEntry', async ({ params, respond }) => {
+      const agentId = params?.agentId || 'saphira';
+      const state = getState(agentId);
+      let question = params?.question;
+      // blockedId: take the question from a blocked-log entry
+      if (params?.blockedId && !question && !params?.pattern) {
+        question = filter.readBlocked(config, { agentId }).find(e => e.id === params.blockedId)?.question;
+        if (!question) {
+          respond(false, { error: 'not_found', id: params.blockedId });
+          return;
+        }
+      }
+      try {
+        const entry = state.filterLists.add(params?.list, {
+          question,
+          pattern: params?.pattern,
+          note: params?.note || null,
+          blockedId: params?.blockedId || null
         });
-        respond(true, { status: 'requeued', agentId, inquiryId: due.inquiry.id, passNumber: due.passNumber });
-      } else {
-        respond(false, { error: 'nightshift not available' });
+        api.logger.info(`[Contemplation:${agentId}] Added ${entry.type} to ${params.list} list: "${entry.value.substring(0, 60)}"`);
+        respond(true, { agentId, list: params.list, entry });
+      } catch (err) {
+        respond(false, { error: err.message, code: err.code });
       }
     });
 
+    api.registerGatewayMethod('contemplation.removeFilterListEntry', async ({ params, respond }) => {
+      const agentId = params?.agentId || 'saphira';
+      if (!params?.entryId) {
+        respond(false, { error: 'entryId is required' });
+        return;
+      }
+      const removed = getState(agentId).filterLists.remove(params.entryId);
+      if (!removed) {
+        respond(false, { error: 'not_found', entryId: params.entryId });
+        return;
+      }
+      respond(true, { agentId, ...removed });
+    });
+
+    api.registerGatewayMethod('contemplation.getUsage', async ({ params, respond }) => {
+      const state = getState(params?.agentId || 'saphira');
+      respond(true, {
+        agentId: state.agentId,
+        today: state.usage.today().total,
+        budget: state.usage.getBudgetStatus(),
+        days: state.usage.getDays(params?.days || 7)
+      });
+    });
+
+    api.registerGatewayMethod('contemplation.invalidateCache', async ({ params, respond }) => {
+      const state = getState(params?.agentId || 'saphira');
+      if (params?.kind && !['classifier', 'tagging'].includes(params.kind)) {
+        respond(false, { error: 'kind must be "classifier" or "tagging"' });
+        return;
+      }
+      const removed = state.llmCache.invalidate({ kind: params?.kind, model: params?.model });
+      api.logger.info(
+        `[Contemplation:${state.agentId}] Invalidated ${removed} cached LLM result(s)` +
+        (params?.kind ? ` (${params.kind})` : '') + (params?.model ? ` for ${params.model}` : '')
+      );
+      respond(true, { agentId: state.agentId, removed, cache: state.llmCache.stats() });
+    });
+
+    api.registerGatewayMethod('contemplation.debugContextStrip', async ({ params, respond }) => {
+      const text = typeof params?.text === 'string'
+        ? params.text
+        : params?.message ? extractor.normalizeText(params.message) : null;
+      if (text === null) {
+        respond(false, { error: 'text or message is required' });
+        return;
+      }
+      const { text: after, removed } = extractor.explainCleaning(text);
+      respond(true, {
+        before: text,
+        after,
+        removed,
+        registered: contextBlocks.shared.list()
+      });
+    });
+
     api.logger.info('Contemplation plugin registered — metabolism integration active (passes via nightshift only)');
   }
 };
@@ -0,0 +1,212 @@
+/**
+ * Crash-safe JSON file helpers.
+ *
+ * Writes go to a temp file in the same directory, are fsynced, and then
+ * renamed over the target, so a crash mid-write leaves either the old or
+ * the new file — never a truncated one. The previous good generation is
+ * kept as `<file>.bak` for recovery. A lock file serializes writers across
+ * processes (e.g. a gateway restarting while the old process still flushes);
+ * taking it never waits, so a writer that finds it held retries later
+ * instead of blocking the event loop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_STALE_MS = 10000;
+
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+function backupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+/**
+ * Take an exclusive lock file next to `filePath` without waiting. Locks
+ * older than LOCK_STALE_MS are assumed to belong to a crashed process and
+ * are broken. Returns a release function, or null if another writer holds
+ * the lock.
+ */
+function tryAcquireLock(filePath) {
+  const lockPath = `${filePath}.lock`;
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return () => {
+        try { fs.unlinkSync(lockPath); } catch {}
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      let age = 0;
+      try { age = Date.now() - fs.statSync(lockPath).mtimeMs; } catch { continue; }
+      if (age > LOCK_STALE_MS) {
+        try { fs.unlinkSync(lockPath); } catch {}
+        continue;
+      }
+      return null;
+    }
+  }
+}
+
+/**
+ * Parse a JSON file. Returns { ok: true, data } or { ok: false, error }.
+ * Empty files count as corrupt — a zero-byte file is what a crash between
+ * truncate and write leaves behind.
+ */
+function tryReadJson(filePath, validate) {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    if (!raw.trim()) return { ok: false, error: new Error('file is empty') };
+    const data = JSON.parse(raw);
+    if (validate && !validate(data)) return { ok: false, error: new Error('unexpected structure') };
+    return { ok: true, data };
+  } catch (err) {
+    return { ok: false, error: err };
+  }
+}
+
+/**
+ * Atomically replace `filePath` with `data` serialized as JSON.
+ * The current file (if it parses) is rotated to `<file>.bak` first.
+ */
+function writeJsonAtomic(filePath, data, { backup = true } = {}) {
+  ensureDir(path.dirname(filePath));
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const json = JSON.stringify(data, null, 2);
+
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, json);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    if (backup && fs.existsSync(filePath) && tryReadJson(filePath).ok) {
+      fs.copyFileSync(filePath, backupPath(filePath));
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch {}
+    throw err;
+  }
+}
+
+/**
+ * Load a JSON file written by writeJsonAtomic.
+ * - Missing file and missing backup → returns `fallback` (fresh store).
+ * - Corrupt or missing file with a good backup → returns the backup and
+ *   reports `recoveredFrom: 'backup'`.
+ * - Corrupt file with no usable backup → throws (code CONTEMPLATION_CORRUPT)
+ *   rather than silently starting empty and overwriting history.
+ */
+function loadJsonSafe(filePath, fallback, validate) {
+  const bak = backupPath(filePath);
+  const hasMain = fs.existsSync(filePath);
+
+  if (hasMain) {
+    const main = tryReadJson(filePath, validate);
+    if (main.ok) return { data: main.data, recoveredFrom: null };
+  }
+
+  if (fs.existsSync(bak)) {
+    const backupResult = tryReadJson(bak, validate);
+    if (backupResult.ok) return { data: backupResult.data, recoveredFrom: 'backup' };
+  }
+
+  if (!hasMain) return { data: fallback, recoveredFrom: null };
+
+  const err = new Error(
+    `Refusing to load corrupt ${filePath} (no valid backup at ${bak}). ` +
+    'Repair or move the file aside to start fresh.'
+  );
+  err.code = 'CONTEMPLATION_CORRUPT';
+  throw err;
+}
+
+/**
+ * Load a JSON file whose contents can be rebuilt or lost without harm
+ * (caches, counters). Like loadJsonSafe, but a corrupt file with no usable
+ * backup is moved aside to `<file>.corrupt` and `fallback` is returned with
+ * `recoveredFrom: 'reset'` instead of throwing, so one bad file can't take
+ * the whole agent down.
+ */
+function loadJsonOrReset(filePath, fallback, validate) {
+  try {
+    return loadJsonSafe(filePath, fallback, validate);
+  } catch (err) {
+    if (err.code !== 'CONTEMPLATION_CORRUPT') throw err;
+    try { fs.renameSync(filePath, `${filePath}.corrupt`); } catch {}
+    return { data: fallback, recoveredFrom: 'reset', error: err };
+  }
+}
+
+const pendingWriters = new Set();
+let exitHooked = false;
+
+function flushPendingOnExit() {
+  if (exitHooked) return;
+  exitHooked = true;
+  process.once('exit', () => {
+    for (const writer of [...pendingWriters]) {
+      try { writer.flush(); } catch {}
+    }
+  });
+}
+
+/**
+ * Coalesce writes of a frequently updated file. schedule() runs `write`
+ * once, `delayMs` after the first call since the last write; flush() runs
+ * it now if one is pending. Pending writes are flushed on process exit. A
+ * write that fails on the timer stays pending and is retried on the next
+ * schedule() or flush().
+ */
+function deferredWriter(write, delayMs = 1000) {
+  let timer = null;
+  let dirty = false;
+
+  const writer = {
+    get pending() {
+      return dirty;
+    },
+    schedule() {
+      dirty = true;
+      pendingWriters.add(writer);
+      flushPendingOnExit();
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        try { writer.flush(); } catch {}
+      }, delayMs);
+      timer.unref?.();
+    },
+    flush() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (!dirty) return;
+      write();
+      dirty = false;
+      pendingWriters.delete(writer);
+    }
+  };
+  return writer;
+}
+
+module.exports = {
+  tryAcquireLock,
+  tryReadJson,
+  writeJsonAtomic,
+  loadJsonSafe,
+  loadJsonOrReset,
+  deferredWriter
+};
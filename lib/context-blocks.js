@@ -0,0 +1,170 @@
+/**
+ * Registry of injected context blocks to strip before gap extraction.
+ *
+ * Other plugins inject metadata into messages ([CONTINUITY CONTEXT] recall,
+ * stability entropy lines, ...). Left in, it reads as user text and turns
+ * into fake questions. Each source declares its blocks and line markers:
+ *   - `{ name, header: "STABILITY CONTEXT" }` — a `[STABILITY CONTEXT]`
+ *     block, running to the next registered header or the end of the text
+ *     (or to `end`, if given)
+ *   - `{ name, start: "<recall>", end: "</recall>" }` — explicit delimiters
+ *     (no `end`: to the end of the text)
+ *   - line markers — lines that start with the marker (after trimming); a
+ *     marker with leading whitespace only matches lines indented exactly so
+ *
+ * Sources are keyed, so a plugin re-registering replaces its own entries.
+ */
+
+const BUILTIN = {
+  blocks: [
+    { name: 'continuity', header: 'CONTINUITY CONTEXT' },
+    { name: 'stability', header: 'STABILITY CONTEXT' },
+    { name: 'growth-vectors', header: 'GROWTH VECTORS' },
+    { name: 'memory', header: 'MEMORY INTEGRATION' }
+  ],
+  lineMarkers: [
+    'Entropy:',
+    'Principles:',
+    'Session:',
+    'Topics:',
+    'Speak from this memory',
+    '- They told you:',
+    // Continuity recall indents it; a plain "You said:" is conversation
+    '  You said:',
+    'You remember these earlier'
+  ]
+};
+
+// Timestamp prefixes from OpenClaw message injection
+const TIMESTAMP_PREFIX = /^\[(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun) \d{4}-\d{2}-\d{2} \d{2}:\d{2} [A-Z]+\]\s*/;
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function invalidSpec(source, message) {
+  const err = new Error(`Context blocks from "${source}": ${message}`);
+  err.code = 'CONTEXT_BLOCK_INVALID';
+  return err;
+}
+
+function normalizeSpec(source, { blocks = [], lineMarkers = [] } = {}) {
+  if (!Array.isArray(blocks) || !Array.isArray(lineMarkers)) {
+    throw invalidSpec(source, 'blocks and lineMarkers must be arrays');
+  }
+  return {
+    blocks: blocks.map((b, idx) => {
+      if (!b || (!b.header && !b.start)) throw invalidSpec(source, `block ${idx} needs a header or a start delimiter`);
+      return { name: b.name || b.header || b.start, header: b.header || null, start: b.start || null, end: b.end || null, source };
+    }),
+    lineMarkers: lineMarkers.filter(m => typeof m === 'string' && m.trim()).map(m => m.trimEnd())
+  };
+}
+
+class ContextBlockRegistry {
+  constructor() {
+    this.sources = new Map(); // source → { blocks, lineMarkers }
+    this.sources.set('builtin', normalizeSpec('builtin', BUILTIN));
+    this._compiled = null;
+  }
+
+  /**
+   * Add (or replace) a source's blocks and line markers.
+   * Throws CONTEXT_BLOCK_INVALID for a malformed spec.
+   */
+  register(source, spec) {
+    if (!source) throw invalidSpec(source, 'a source name is required');
+    this.sources.set(String(source), normalizeSpec(String(source), spec));
+    this._compiled = null;
+  }
+
+  unregister(source) {
+    const removed = this.sources.delete(String(source));
+    this._compiled = null;
+    return removed;
+  }
+
+  /**
+   * Entries from config (`extraction.contextBlocks`), under the "config" source.
+   */
+  configure(contextBlocksConfig) {
+    if (contextBlocksConfig) this.register('config', contextBlocksConfig);
+  }
+
+  list() {
+    return [...this.sources].map(([source, spec]) => ({ source, ...spec }));
+  }
+
+  _compile() {
+    if (this._compiled) return this._compiled;
+    const all = [...this.sources.values()];
+    const blocks = all.flatMap(s => s.blocks);
+    const headers = blocks.filter(b => b.header);
+    const anyHeader = headers.map(b => `\\[${escapeRegExp(b.header)}\\]`).join('|');
+
+    const patterns = blocks.map(b => {
+      if (b.header) {
+        // Runs to its end delimiter, the next registered header or the end of the text
+        const end = b.end ? `${escapeRegExp(b.end)}|` : '';
+        return { block: b, pattern: new RegExp(`\\[${escapeRegExp(b.header)}\\][\\s\\S]*?(?:${end}(?=${anyHeader})|$)`, 'gi') };
+      }
+      const end = b.end ? `(?:${escapeRegExp(b.end)}|$)` : '$';
+      return { block: b, pattern: new RegExp(`${escapeRegExp(b.start)}[\\s\\S]*?${end}`, 'gi') };
+    });
+
+    this._compiled = { patterns, lineMarkers: [...new Set(all.flatMap(s => s.lineMarkers))] };
+    return this._compiled;
+  }
+
+  /**
+   * Strip registered blocks, the timestamp prefix and marker lines.
+   * Returns { text, removed } — removed is [{ kind, name, source, text }]
+   * in the order the steps ran, for the debug gateway method.
+   */
+  strip(text) {
+    const { patterns, lineMarkers } = this._compile();
+    const removed = [];
+    let cleaned = String(text || '');
+
+    for (const { block, pattern } of patterns) {
+      cleaned = cleaned.replace(pattern, match => {
+        removed.push({ kind: 'block', name: block.name, source: block.source, text: match });
+        return '';
+      });
+    }
+
+    cleaned = cleaned.replace(TIMESTAMP_PREFIX, match => {
+      removed.push({ kind: 'timestamp', name: 'timestamp', source: 'builtin', text: match });
+      return '';
+    });
+
+    cleaned = cleaned.split('\n')
+      .filter(line => {
+        const trimmed = line.trim();
+        const marker = lineMarkers.find(m => (m === m.trimStart() ? trimmed : line).startsWith(m));
+        if (!marker) return true;
+        removed.push({ kind: 'line', name: marker, source: this._markerSource(marker), text: line });
+        return false;
+      })
+      .join('\n')
+      .trim();
+
+    return { text: cleaned, removed };
+  }
+
+  _markerSource(marker) {
+    for (const [source, spec] of this.sources) {
+      if (spec.lineMarkers.includes(marker)) return source;
+    }
+    return null;
+  }
+}
+
+// One registry per process, shared by every agent and plugin registration
+const shared = new ContextBlockRegistry();
+
+module.exports = {
+  BUILTIN,
+  ContextBlockRegistry,
+  shared
+};
@@ -0,0 +1,74 @@
+/**
+ * Near-duplicate detection for new inquiries.
+ *
+ * Compares a candidate question against open and recently completed
+ * inquiries. Uses an embedding endpoint (same provider plumbing as
+ * reflect.callLLM) when `dedup.embedding.endpoint` is configured, and
+ * falls back to stemmed token overlap when it isn't or the call fails.
+ * Only the `dedup.maxEmbedCandidates` candidates with the most token
+ * overlap are embedded, so a large backlog doesn't mean one call each.
+ */
+
+const { tokenOverlap, cosine, topBy } = require('./similarity');
+
+const DEFAULT_MAX_EMBED_CANDIDATES = 50;
+
+/**
+ * @param {object} opts
+ * @param {string} opts.question - Incoming question text
+ * @param {object[]} opts.candidates - Existing inquiries to compare against
+ * @param {object} opts.dedupConfig - config.dedup
+ * @param {function} [opts.embed] - reflect.embed
+ * @param {Map} [opts.embeddingCache] - inquiry id → vector, reused across calls
+ * @returns {Promise<{inquiry, similarity, method}|null>}
+ */
+async function findDuplicate({ question, candidates, dedupConfig = {}, embed, embeddingCache }) {
+  if (!candidates || candidates.length === 0) return null;
+
+  const embedding = dedupConfig.embedding;
+  if (embed && embedding?.endpoint) {
+    try {
+      const call = input => embed({
+        endpoint: embedding.endpoint,
+        model: embedding.model,
+        input,
+        timeoutMs: embedding.timeoutMs ?? 15000,
+        apiKey: embedding.apiKey || null,
+        format: embedding.format || null
+      });
+
+      const pool = topBy(
+        candidates,
+        inquiry => tokenOverlap(question, inquiry.question, 1),
+        dedupConfig.maxEmbedCandidates ?? DEFAULT_MAX_EMBED_CANDIDATES
+      );
+      const queryVector = await call(question);
+      let best = null;
+      for (const inquiry of pool) {
+        let vector = embeddingCache?.get(inquiry.id);
+        if (!vector) {
+          vector = await call(inquiry.question);
+          embeddingCache?.set(inquiry.id, vector);
+        }
+        const similarity = cosine(queryVector, vector);
+        if (!best || similarity > best.similarity) best = { inquiry, similarity };
+      }
+      const threshold = dedupConfig.embeddingThreshold ?? 0.88;
+      return best && best.similarity >= threshold ? { ...best, method: 'embedding' } : null;
+    } catch {
+      // Embedder unavailable — fall through to token overlap
+    }
+  }
+
+  let best = null;
+  for (const inquiry of candidates) {
+    const similarity = tokenOverlap(question, inquiry.question);
+    if (!best || similarity > best.similarity) best = { inquiry, similarity };
+  }
+  const threshold = dedupConfig.threshold ?? 0.6;
+  return best && best.similarity >= threshold ? { ...best, method: 'tokens' } : null;
+}
+
+module.exports = {
+  findDuplicate
+};
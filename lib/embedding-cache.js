@@ -0,0 +1,33 @@
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * In-memory embedding vectors keyed by inquiry or candidate id, shared by
+ * dedup and retrieval. A Map that keeps at most `maxEntries` vectors and
+ * evicts the least recently used one beyond that.
+ */
+class EmbeddingCache extends Map {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    super();
+    this.maxEntries = Math.max(1, Number(maxEntries) || DEFAULT_MAX_ENTRIES);
+  }
+
+  get(key) {
+    if (!super.has(key)) return undefined;
+    // Re-insert so iteration order stays least recently used first
+    const value = super.get(key);
+    super.delete(key);
+    super.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    super.delete(key);
+    super.set(key, value);
+    while (this.size > this.maxEntries) {
+      super.delete(this.keys().next().value);
+    }
+    return this;
+  }
+}
+
+module.exports = EmbeddingCache;
@@ -0,0 +1,182 @@
+/**
+ * Process-wide executor for passes and LLM calls.
+ *
+ * Passes are queued per agent and started round-robin across agents, one
+ * pass per agent at a time and at most `maxConcurrent` passes overall, so a
+ * busy agent can't starve the others. Every LLM call (passes, tagging,
+ * filter, quality review) and embedding request additionally takes a call
+ * slot — also capped at `maxConcurrent` — and a token from its provider's
+ * requests-per-minute window. Pass slots and call slots are separate pools, so a running pass
+ * waiting for a call slot never blocks the slot it would need.
+ */
+
+const RPM_WINDOW_MS = 60000;
+
+function sleep(ms) {
+  // Unref'd so a call waiting on its RPM window doesn't keep the process alive
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+class Executor {
+  constructor(options = {}) {
+    this.agentQueues = new Map(); // agentId → [{ job, resolve, reject }]
+    this.activeAgents = new Set();
+    this.rrOrder = []; // agents in round-robin order, next served first
+    this.activePasses = 0;
+
+    this.activeCalls = 0;
+    this.callWaiters = [];
+    this.rpmWindows = new Map(); // provider → [timestamps]
+
+    this.completed = 0;
+    this.configure(options);
+  }
+
+  /**
+   * @param {object} options - config.concurrency
+   * @param {number} [options.maxConcurrent=1] - Passes and LLM calls in flight
+   * @param {object} [options.rpm] - provider name → requests per minute
+   * @param {number} [options.defaultRpm] - Limit for providers not in `rpm`
+   */
+  configure({ maxConcurrent = 1, rpm = {}, defaultRpm = null } = {}) {
+    this.maxConcurrent = Math.max(1, Number(maxConcurrent) || 1);
+    this.rpm = rpm || {};
+    this.defaultRpm = defaultRpm;
+    this._pump();
+    this._releaseCallWaiters();
+  }
+
+  // ── Passes ───────────────────────────────────────────────────────────────
+
+  /**
+   * Queue a pass job for an agent. Resolves/rejects with the job's result.
+   */
+  submit(agentId, job) {
+    return new Promise((resolve, reject) => {
+      if (!this.agentQueues.has(agentId)) {
+        this.agentQueues.set(agentId, []);
+        this.rrOrder.unshift(agentId); // never served yet, so first in line
+      }
+      this.agentQueues.get(agentId).push({ job, resolve, reject });
+      this._pump();
+    });
+  }
+
+  /**
+   * Jobs queued or running for an agent.
+   */
+  pending(agentId) {
+    return (this.agentQueues.get(agentId)?.length || 0) + (this.activeAgents.has(agentId) ? 1 : 0);
+  }
+
+  _nextAgent() {
+    const idx = this.rrOrder.findIndex(agentId => (
+      !this.activeAgents.has(agentId) && this.agentQueues.get(agentId)?.length
+    ));
+    if (idx === -1) return null;
+    // Served agents go to the back of the line
+    const [agentId] = this.rrOrder.splice(idx, 1);
+    this.rrOrder.push(agentId);
+    return agentId;
+  }
+
+  _pump() {
+    while (this.activePasses < this.maxConcurrent) {
+      const agentId = this._nextAgent();
+      if (!agentId) return;
+      const { job, resolve, reject } = this.agentQueues.get(agentId).shift();
+      this.activePasses++;
+      this.activeAgents.add(agentId);
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          this.activePasses--;
+          this.activeAgents.delete(agentId);
+          this.completed++;
+          this._pump();
+        });
+    }
+  }
+
+  // ── LLM calls ────────────────────────────────────────────────────────────
+
+  _rpmFor(provider) {
+    const limit = this.rpm[provider] ?? this.defaultRpm;
+    return Number(limit) > 0 ? Number(limit) : null;
+  }
+
+  /**
+   * Wait until `provider` has room in its one-minute window, then claim it.
+   */
+  async _acquireRate(provider) {
+    const limit = this._rpmFor(provider);
+    if (!limit) return;
+    for (;;) {
+      const now = Date.now();
+      const window = (this.rpmWindows.get(provider) || []).filter(t => t > now - RPM_WINDOW_MS);
+      if (window.length < limit) {
+        window.push(now);
+        this.rpmWindows.set(provider, window);
+        return;
+      }
+      this.rpmWindows.set(provider, window);
+      await sleep(window[0] + RPM_WINDOW_MS - now + 5);
+    }
+  }
+
+  _releaseCallWaiters() {
+    while (this.activeCalls < this.maxConcurrent && this.callWaiters.length > 0) {
+      this.activeCalls++;
+      this.callWaiters.shift()();
+    }
+  }
+
+  /**
+   * Run one LLM request under the provider's RPM limit and a call slot.
+   */
+  async call(provider, fn) {
+    await this._acquireRate(provider);
+    if (this.activeCalls < this.maxConcurrent) {
+      this.activeCalls++;
+    } else {
+      await new Promise(resolve => this.callWaiters.push(resolve));
+    }
+    try {
+      return await fn();
+    } finally {
+      this.activeCalls--;
+      this._releaseCallWaiters();
+    }
+  }
+
+  stats() {
+    const now = Date.now();
+    const queued = {};
+    for (const [agentId, queue] of this.agentQueues) {
+      if (queue.length) queued[agentId] = queue.length;
+    }
+    const rpm = {};
+    for (const [provider, window] of this.rpmWindows) {
+      rpm[provider] = { lastMinute: window.filter(t => t > now - RPM_WINDOW_MS).length, limit: this._rpmFor(provider) };
+    }
+    return {
+      maxConcurrent: this.maxConcurrent,
+      activePasses: this.activePasses,
+      activeAgents: [...this.activeAgents],
+      queued,
+      activeCalls: this.activeCalls,
+      waitingCalls: this.callWaiters.length,
+      completedPasses: this.completed,
+      rpm
+    };
+  }
+}
+
+// One executor per process, shared by every agent and plugin registration
+const shared = new Executor();
+
+module.exports = {
+  Executor,
+  shared
+};
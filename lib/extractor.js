@@ -7,57 +7,24 @@
  * Key differences from the Codex-authored version:
  * 1. Strips injected context blocks ([CONTINUITY CONTEXT], [STABILITY CONTEXT])
  *    before analyzing — those are plugin metadata, not conversation.
- * 2. Looks at BOTH user and agent messages for gap signals.
+ * 2. Only the user's messages are mined for gaps; assistant turns serve as
+ *    context (and, in LLM mode, as what the user pushes back on). The
+ *    agent's reply is read for gaps only by the opt-in hedging path (7).
  * 3. Extracts actual questions and wonder-phrases rather than wrapping
  *    arbitrary sentence fragments in "What is unresolved in:".
  * 4. Uses the original gap patterns: wonder, curiosity, uncertainty, questions.
+ * 5. Patterns come from per-language packs (lib/languages.js); each message
+ *    is matched against the pack for its detected language.
+ * 6. Optional LLM extraction (extraction.mode "llm" / "hybrid") catches
+ *    implicit gaps the patterns can't see.
+ * 7. Optional agent hedging (extraction.agentHedging) turns the agent's own
+ *    admitted uncertainty into gaps, using a separate pattern set.
  */
 
-// Patterns that indicate genuine knowledge gaps (from Clint Prime + DE support)
-const GAP_PATTERNS = [
-    // English patterns
-    /I wonder\s+(.{15,}?)(?:\.|$)/gi,
-    /I'm curious\s+(?:about\s+)?(.{15,}?)(?:\.|$)/gi,
-    /I don't (?:fully )?understand\s+(.{15,}?)(?:\.|$)/gi,
-    /I (?:need|want) to (?:learn|know|explore|understand)\s+(.{15,}?)(?:\.|$)/gi,
-    /I'm not sure (?:about |whether |if |how |why )(.{15,}?)(?:\.|$)/gi,
-    /(?:how|why|what|when|where) (?:does|do|did|is|are|was|were|would|could|should|can|might) .{10,}\?/gi,
-    // German patterns
-    /ich frage mich\s+(.{15,}?)(?:\.|$)/gi,
-    /ich (?:muss|will) (?:lernen|wissen|verstehen|erfahren)\s+(.{15,}?)(?:\.|$)/gi,
-    /ich bin mir (?:nicht )?(?:sicher|klar|bewusst)(?:,? ob | wie | warum | was )(.{10,}?)(?:\.|$)/gi,
-    /ich verstehe (?:nicht |kaum )?(.{15,}?)(?:\.|$)/gi,
-    /wie (?:funktioniert|geht|kann|soll|musst) .{10,}\?/gi,
-    /warum .{10,}\?/gi,
-    /was (?:bedeutet|ist|heißt|macht) .{10,}\?/gi,
-    /keine ahnung (?:wie|warum|was|wo|wann) .{10,}/gi,
-];
-
-// Patterns to filter OUT — conversational questions, rhetorical questions, document noise
-const FILTER_PATTERNS = [
-    /^(?:would you|do you|can you|should I|shall I|could I|want me to|let me)/i,
-    /^(?:is that|does that|are you|how about|what if I)/i,
-    /^(?:ready|okay|alright|sure|got it|understood)/i,
-    // Rhetorical / marketing / document noise
-    /^(?:those|these|that|what about those|ever notice|imagine|picture this)/i,
-    /^(?:isn't it|aren't they|doesn't it|don't they|wouldn't it|won't they)/i,
-    /^(?:who doesn't|who wouldn't|who hasn't)/i,
-    /^(?:sound familiar|ring a bell|know the feeling)/i,
-];
-
-// Patterns that indicate document/PDF content rather than conversation
-const DOCUMENT_NOISE_PATTERNS = [
-    /(?:chapter|section|page|figure|table)\s+\d/i,
-    /(?:©|copyright|all rights reserved|terms of service|privacy policy)/i,
-    /(?:click here|learn more|sign up|subscribe|download now|get started)/i,
-    /(?:www\.|https?:\/\/)/i,
-];
-
-// Context block headers injected by other plugins — strip these before analysis
-const CONTEXT_BLOCK_PATTERN = /\[(?:CONTINUITY CONTEXT|STABILITY CONTEXT|GROWTH VECTORS|MEMORY INTEGRATION)\][\s\S]*?(?=\[(?:CONTINUITY|STABILITY|GROWTH|MEMORY)|$)/gi;
-
-// Timestamp prefixes from OpenClaw message injection
-const TIMESTAMP_PREFIX = /^\[(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun) \d{4}-\d{2}-\d{2} \d{2}:\d{2} [A-Z]+\]\s*/;
+const languages = require('./languages');
+const contextBlocks = require('./context-blocks');
+const prompts = require('./prompts');
+const { tokenize, tokenOverlap } = require('./similarity');
 
 function normalizeText(msg) {
     if (!msg) return '';
@@ -71,39 +38,142 @@ function normalizeText(msg) {
 /**
  * Strip injected context blocks from message text.
  * These are plugin metadata (continuity recall, stability entropy, etc.)
- * and should NOT be treated as conversation content.
+ * and should NOT be treated as conversation content. What counts as a block
+ * comes from the registry in lib/context-blocks.js.
  */
 function stripContextBlocks(text) {
-    let cleaned = text.replace(CONTEXT_BLOCK_PATTERN, '');
-    cleaned = cleaned.replace(TIMESTAMP_PREFIX, '');
-    // Also strip lines that start with common injection markers
-    cleaned = cleaned.split('\n')
-        .filter(line => {
-            const trimmed = line.trim();
-            return !trimmed.startsWith('Entropy:') &&
-                   !trimmed.startsWith('Principles:') &&
-                   !trimmed.startsWith('Session:') &&
-                   !trimmed.startsWith('Topics:') &&
-                   !trimmed.startsWith('Speak from this memory') &&
-                   !trimmed.startsWith('- They told you:') &&
-                   !trimmed.startsWith('  You said:') &&
-                   !trimmed.startsWith('You remember these earlier');
+    return contextBlocks.shared.strip(text).text;
+}
+
+/**
+ * Conversation text of one message, with what was removed along the way:
+ * injected context blocks, code blocks and markdown tables.
+ * Returns { text, removed }.
+ */
+function explainCleaning(text) {
+    // Strip injected context blocks before analysis
+    const { text: stripped, removed } = contextBlocks.shared.strip(text);
+
+    // Strip code blocks and markdown tables (not real conversation)
+    const cleaned = stripped
+        .replace(/```[\s\S]*?```/g, match => {
+            removed.push({ kind: 'code', name: 'code block', source: 'builtin', text: match });
+            return '';
         })
-        .join('\n')
-        .trim();
-    return cleaned;
+        .replace(/\|[^\n]+\|/g, match => {
+            removed.push({ kind: 'table', name: 'table row', source: 'builtin', text: match });
+            return '';
+        });
+    return { text: cleaned.trim(), removed };
+}
+
+function cleanMessageText(text) {
+    return explainCleaning(text).text;
+}
+
+/**
+ * The last few messages (3 exchanges), cleaned, as [{ role, text }].
+ */
+function recentTurns(messages) {
+    const turns = [];
+    for (const msg of (messages || []).slice(-6)) {
+        if (msg.role !== 'user' && msg.role !== 'assistant') continue;
+        const text = normalizeText(msg);
+        if (!text) continue;
+        const cleaned = cleanMessageText(text);
+        if (cleaned.length > 10) turns.push({ role: msg.role, text: cleaned });
+    }
+    return turns;
+}
+
+function describeOrigin(origin, source) {
+    const refs = [];
+    if (origin?.sessionId) refs.push(`session ${origin.sessionId}`);
+    if (origin?.exchangeId) refs.push(`exchange ${origin.exchangeId}`);
+    if (refs.length === 0 && source) refs.push(source);
+    return refs.length ? `From: ${refs.join(', ')}` : null;
 }
 
 /**
- * Extract genuine knowledge gaps from conversation text.
+ * Context for one gap: the sentences around where it was found in its user
+ * message, the assistant turn that message was replying to, and where the
+ * exchange came from. `needle` is the gap text (or an LLM candidate's
+ * quote); if it can't be found the end of the last user message is used.
+ * With `role: 'assistant'` (agent hedges) the roles swap: the window comes
+ * from the assistant reply and the user turn it answered goes before it.
+ * Sizes come from `extraction.context`.
+ */
+function buildGapContext({ turns, needle, origin, source, contextConfig = {}, role = 'user' }) {
+    const before = contextConfig.sentencesBefore ?? 2;
+    const after = contextConfig.sentencesAfter ?? 1;
+    const assistantChars = contextConfig.assistantChars ?? 600;
+    const maxChars = contextConfig.maxChars ?? 1200;
+
+    const lowerNeedle = String(needle || '').toLowerCase();
+    let idx = lowerNeedle
+        ? turns.findIndex(t => t.role === role && t.text.toLowerCase().includes(lowerNeedle))
+        : -1;
+    const found = idx !== -1;
+    if (!found) idx = turns.map(t => t.role).lastIndexOf(role);
+    if (idx === -1) return '';
+
+    // Sentence range covering the needle, widened by the window
+    const turn = turns[idx];
+    const sentences = turn.text.split(/(?<=[.!?])\s+/);
+    let first = Math.max(0, sentences.length - 1 - before - after);
+    let last = sentences.length - 1;
+    if (found) {
+        const start = turn.text.toLowerCase().indexOf(lowerNeedle);
+        const end = start + lowerNeedle.length;
+        let cursor = 0;
+        for (let i = 0; i < sentences.length; i++) {
+            const sentenceStart = turn.text.indexOf(sentences[i], cursor);
+            const sentenceEnd = sentenceStart + sentences[i].length;
+            if (sentenceStart <= start) first = i;
+            if (sentenceStart < end) last = i;
+            cursor = sentenceEnd;
+        }
+        first = Math.max(0, first - before);
+        last = Math.min(sentences.length - 1, last + after);
+    }
+    const label = role === 'user' ? 'User' : 'Assistant';
+    const windowLine = `${label}: ${sentences.slice(first, last + 1).join(' ')}`;
+
+    const lines = [];
+    const originLine = describeOrigin(origin, source);
+    if (originLine) lines.push(originLine);
+    const previous = turns.slice(0, idx).reverse().find(t => t.role !== role);
+    if (previous) {
+        const room = Math.max(0, Math.min(assistantChars, maxChars - windowLine.length - (originLine || '').length - 40));
+        if (room > 0) {
+            // The end of the previous turn is what this one was reacting to
+            const text = previous.text.length > room ? `…${previous.text.slice(previous.text.length - room)}` : previous.text;
+            lines.push(`${role === 'user' ? 'Assistant' : 'User'} (previous turn): ${text}`);
+        }
+    }
+    lines.push(windowLine);
+
+    const context = lines.join('\n');
+    return context.length > maxChars ? context.slice(0, maxChars) : context;
+}
+
+/**
+ * Every gap candidate in the text, in pattern order. A match of a gap
+ * pattern with a capture group ("I wonder ...") is `explicit` wonder
+ * phrasing; bare question patterns and standalone questions are not.
  * Based on Clint Prime's extractKnowledgeGaps() pattern.
  */
-function extractGapsFromText(text, maxCount) {
-    const gaps = [];
+function findGapCandidates(text, packs) {
+    const gapPatterns = packs.flatMap(p => p.gapPatterns);
+    const filterPatterns = packs.flatMap(p => p.filterPatterns);
+    const noisePatterns = packs.flatMap(p => p.documentNoisePatterns);
+    const inquiryPatterns = packs.flatMap(p => p.inquiryPatterns);
+
+    const candidates = [];
     const seen = new Set();
 
     // Pass 1: Match explicit gap patterns
-    for (const pattern of GAP_PATTERNS) {
+    for (const pattern of gapPatterns) {
         // Reset regex state
         pattern.lastIndex = 0;
         let match;
@@ -112,14 +182,13 @@ function extractGapsFromText(text, maxCount) {
             if (gap.length < 15) continue;
 
             // Filter conversational questions
-            if (FILTER_PATTERNS.some(f => f.test(gap))) continue;
+            if (filterPatterns.some(f => f.test(gap))) continue;
 
             const normalized = gap.toLowerCase().replace(/\s+/g, ' ');
             if (seen.has(normalized)) continue;
             seen.add(normalized);
 
-            gaps.push(gap);
-            if (gaps.length >= maxCount) return gaps;
+            candidates.push({ question: gap, explicit: match.length > 1 });
         }
     }
 
@@ -132,27 +201,131 @@ function extractGapsFromText(text, maxCount) {
         if (trimmed.length < 30) continue; // raised from 20 — short questions are usually rhetorical
 
         // Filter conversational questions
-        if (FILTER_PATTERNS.some(f => f.test(trimmed))) continue;
+        if (filterPatterns.some(f => f.test(trimmed))) continue;
 
         // Filter document/marketing noise
-        if (DOCUMENT_NOISE_PATTERNS.some(f => f.test(trimmed))) continue;
+        if (noisePatterns.some(f => f.test(trimmed))) continue;
 
         // Must contain a subject + verb structure suggesting genuine inquiry
         // (filters fragments like "Those AI assistants that just sit in one window?")
-        if (!/(?:how|why|what|where|when|who|which)\s+(?:does|do|did|is|are|was|were|would|could|should|can|might|will|has|have|had)/i.test(trimmed) &&
-            !/(?:I|we|you)\s+(?:wonder|don't|need|want|should|could)/i.test(trimmed)) {
-            continue;
-        }
+        if (!inquiryPatterns.some(f => f.test(trimmed))) continue;
 
+        // Skip sentences a Pass 1 match already covers
         const normalized = trimmed.toLowerCase().replace(/\s+/g, ' ');
-        if (seen.has(normalized)) continue;
+        if ([...seen].some(s => normalized.includes(s))) continue;
         seen.add(normalized);
 
-        gaps.push(trimmed);
-        if (gaps.length >= maxCount) return gaps;
+        candidates.push({ question: trimmed, explicit: false });
     }
 
-    return gaps;
+    return candidates;
+}
+
+const DEFAULT_RANKING_WEIGHTS = {
+    length: 0.15,
+    specificity: 0.25,
+    domainNouns: 0.2,
+    wonder: 0.2,
+    novelty: 0.2
+};
+
+// Identifiers, versions, acronyms — the marks of a concrete technical noun
+const TECHNICAL_TOKEN = /^(?:\S*\d\S*|\S*[a-z][A-Z]\S*|\S*[_./]\S+|[A-Z]{2,}s?)$/;
+
+/**
+ * Length factor: nothing under 15 characters, full marks from 60 to 200,
+ * tapering for rambling questions.
+ */
+function lengthFactor(question) {
+    const n = question.length;
+    if (n <= 15) return 0;
+    if (n < 60) return (n - 15) / 45;
+    if (n <= 200) return 1;
+    return Math.max(0.3, 1 - (n - 200) / 400);
+}
+
+function scoreFactors(question, { wonder, openQuestions = [], domainTerms = [] }) {
+    const words = question.replace(/[?!.,;:"()]/g, ' ').split(/\s+/).filter(Boolean);
+    const content = tokenize(question);
+
+    // Specificity: share of content words, plus concrete markers (numbers,
+    // identifiers, quoted terms, proper nouns past the first word)
+    const concrete = words.filter((w, idx) => TECHNICAL_TOKEN.test(w) || (idx > 0 && /^\p{Lu}\p{Ll}/u.test(w))).length
+        + (question.match(/["'“‘][^"'”’]{2,}["'”’]/g) || []).length;
+    const contentRatio = words.length ? content.length / words.length : 0;
+    const specificity = 0.5 * Math.min(1, contentRatio / 0.6) + 0.5 * Math.min(1, concrete / 2);
+
+    // Domain nouns: technical tokens, long content words, configured terms
+    const lowered = question.toLowerCase();
+    const nouns = new Set(words.filter(w => TECHNICAL_TOKEN.test(w)).map(w => w.toLowerCase()));
+    for (const w of words) {
+        if (w.length >= 8 && tokenize(w).length > 0) nouns.add(w.toLowerCase());
+    }
+    for (const term of domainTerms) {
+        if (lowered.includes(String(term).toLowerCase())) nouns.add(String(term).toLowerCase());
+    }
+    const domainNouns = Math.min(1, nouns.size / 3);
+
+    // Novelty against what's already open (or recently finished)
+    const overlap = openQuestions.reduce((max, q) => Math.max(max, tokenOverlap(question, q, 1)), 0);
+
+    return {
+        length: lengthFactor(question),
+        specificity,
+        domainNouns,
+        wonder,
+        novelty: 1 - overlap
+    };
+}
+
+/**
+ * Score a gap candidate 0-1 as the weighted mean of its factors
+ * (`extraction.ranking.weights`). `wonder` is 1 for explicit wonder phrasing,
+ * 0 for a bare question, or an LLM candidate's significance.
+ * Returns { score, factors }.
+ */
+function scoreGap(question, { wonder = 0, openQuestions, rankingConfig = {} } = {}) {
+    const weights = { ...DEFAULT_RANKING_WEIGHTS, ...(rankingConfig.weights || {}) };
+    const factors = scoreFactors(question, { wonder, openQuestions, domainTerms: rankingConfig.domainTerms || [] });
+
+    let total = 0;
+    let weightSum = 0;
+    for (const [name, value] of Object.entries(factors)) {
+        const w = Number(weights[name] ?? 0);
+        total += w * value;
+        weightSum += w;
+        factors[name] = Math.round(value * 1000) / 1000;
+    }
+    return { score: weightSum > 0 ? Math.round((total / weightSum) * 1000) / 1000 : 0, factors };
+}
+
+/**
+ * Score candidates and sort best first (pattern order breaks ties).
+ */
+function rankGaps(candidates, { openQuestions, rankingConfig } = {}) {
+    return candidates
+        .map((c, idx) => {
+            const wonder = c.wonder ?? (c.explicit ? 1 : 0);
+            return { ...c, ...scoreGap(c.question, { wonder, openQuestions, rankingConfig }), idx };
+        })
+        .sort((a, b) => b.score - a.score || a.idx - b.idx)
+        .map(({ idx, ...c }) => c);
+}
+
+/**
+ * Extract the `maxCount` best-ranked knowledge gaps from conversation text.
+ *
+ * `packs` are the language packs to match with; by default the built-in
+ * pack for the text's detected language. `options` are rankGaps() options.
+ */
+function extractGapsFromText(text, maxCount, packs, options = {}) {
+    if (!packs) {
+        const all = languages.loadPacks().packs;
+        packs = [all[languages.detectLanguage(text, all)]];
+    }
+    return rankGaps(findGapCandidates(text, packs), options)
+        .slice(0, maxCount)
+        .map(c => c.question);
 }
 
 /**
@@ -160,37 +333,33 @@ function extractGapsFromText(text, maxCount) {
  *
  * Looks at both user and agent messages (the last few exchanges),
  * strips injected context, and extracts genuine questions/gaps.
+ * `openQuestions` (open inquiries' questions) feed the novelty score.
  */
-function identifyGaps({ messages, entropy = 0, extractionConfig = {}, source }) {
+function identifyGaps({ messages, entropy = 0, extractionConfig = {}, source, origin = null, openQuestions = [] }) {
     const entropyThreshold = extractionConfig.entropyThreshold ?? 0.5;
     const keywords = extractionConfig.keywords || [];
     const maxGaps = extractionConfig.maxGapsPerExchange || 2;
+    const languageConfig = extractionConfig.languages || {};
+    const { packs } = languages.loadPacks(languageConfig);
+    const defaultLanguage = languageConfig.default || 'en';
 
     // Build conversation text from the last few exchanges (not the whole session)
     // Only look at the last 6 messages (3 exchanges) for gap detection
-    const recentMessages = (messages || []).slice(-6);
+    const turns = recentTurns(messages);
 
     // ONLY analyze USER messages for knowledge gaps
-    // Assistant messages are explanations, not expressions of confusion
-    const conversationParts = [];
-    for (const msg of recentMessages) {
-        if (msg.role !== 'user') continue;  // Skip assistant messages
-        const text = normalizeText(msg);
-        if (!text) continue;
-
-        // Strip injected context blocks before analysis
-        let cleaned = stripContextBlocks(text);
-
-        // Strip code blocks and markdown tables (not real conversation)
-        cleaned = cleaned.replace(/```[\s\S]*?```/g, '');
-        cleaned = cleaned.replace(/\|[^\n]+\|/g, '');
-
-        if (cleaned.length > 10) {
-            conversationParts.push(cleaned);
-        }
-    }
+    // Assistant messages are explanations, not expressions of confusion —
+    // they only go into each gap's context
+    const conversationParts = turns
+        .filter(t => t.role === 'user')
+        .map(t => ({
+            text: t.text,
+            language: languageConfig.autoDetect === false
+                ? null
+                : languages.detectLanguage(t.text, packs, defaultLanguage)
+        }));
 
-    const conversationText = conversationParts.join('\n\n');
+    const conversationText = conversationParts.map(p => p.text).join('\n\n');
     if (!conversationText) return [];
 
     // Check entropy/keyword thresholds
@@ -199,22 +368,247 @@ function identifyGaps({ messages, entropy = 0, extractionConfig = {}, source })
 
     if (entropy < entropyThreshold && !keywordHit) return [];
 
-    // Extract gaps
-    const questions = extractGapsFromText(conversationText, maxGaps);
+    // Collect candidates one language at a time (with auto-detection off
+    // every pack applies to every message), then keep the best-ranked
+    const byLanguage = new Map();
+    for (const part of conversationParts) {
+        if (!byLanguage.has(part.language)) byLanguage.set(part.language, []);
+        byLanguage.get(part.language).push(part.text);
+    }
+    const candidates = [];
+    for (const [language, texts] of byLanguage) {
+        const active = language ? [packs[language]] : Object.values(packs);
+        for (const candidate of findGapCandidates(texts.join('\n\n'), active)) {
+            candidates.push({ ...candidate, language });
+        }
+    }
+    const ranked = rankGaps(candidates, { openQuestions, rankingConfig: extractionConfig.ranking })
+        .slice(0, maxGaps);
 
-    return questions.map((question, idx) => ({
+    return ranked.map(({ question, language, score, factors }, idx) => ({
         id: `gap_${Date.now()}_${idx}`,
         question,
+        language,
+        score,
+        scoreFactors: factors,
+        source: source || `exchange_${new Date().toISOString()}`,
+        origin,
+        // The conversation around the gap, as context for the contemplation passes
+        context: buildGapContext({ turns, needle: question, origin, source, contextConfig: extractionConfig.context }),
+        entropy,
+        method: 'regex'
+    }));
+}
+
+/**
+ * Hedge candidates in an assistant reply: matches of the packs' hedge
+ * patterns whose uncertain clause (the capture group) is long enough to be
+ * about something, minus hedges about the user rather than the subject
+ * ("I'm not sure what you mean").
+ */
+function findHedgeCandidates(text, packs) {
+    const hedgePatterns = packs.flatMap(p => p.hedgePatterns || []);
+    const hedgeFilterPatterns = packs.flatMap(p => p.hedgeFilterPatterns || []);
+
+    const candidates = [];
+    const seen = new Set();
+    for (const pattern of hedgePatterns) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const hedge = match[0].trim();
+            if ((match[1] || '').trim().length < 15) continue;
+            if (hedgeFilterPatterns.some(f => f.test(hedge))) continue;
+
+            const normalized = hedge.toLowerCase().replace(/\s+/g, ' ');
+            if ([...seen].some(s => s.includes(normalized) || normalized.includes(s))) continue;
+            seen.add(normalized);
+
+            candidates.push({ question: hedge, explicit: true });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Opt-in agent hedging (`extraction.agentHedging.enabled`): gaps the agent
+ * admitted to in its latest reply — "I'm not certain how the scheduler
+ * handles DST transitions". Only the hedge patterns run, and only on that
+ * reply: no bare questions, no wonder phrasing, so explanations (the reason
+ * identifyGaps skips assistant turns) don't come back as gaps. Not gated by
+ * entropy — the admission is the signal. Gaps are labelled `agent_hedge`.
+ */
+function identifyHedgeGaps({ messages, entropy = 0, extractionConfig = {}, origin = null, openQuestions = [] }) {
+    const hedgeConfig = extractionConfig.agentHedging || {};
+    const maxGaps = hedgeConfig.maxGaps ?? 1;
+    const languageConfig = extractionConfig.languages || {};
+    const { packs } = languages.loadPacks(languageConfig);
+
+    const turns = recentTurns(messages);
+    const reply = turns[turns.map(t => t.role).lastIndexOf('assistant')];
+    if (!reply || maxGaps <= 0) return [];
+
+    const language = languageConfig.autoDetect === false
+        ? null
+        : languages.detectLanguage(reply.text, packs, languageConfig.default || 'en');
+    const active = language ? [packs[language]] : Object.values(packs);
+    const ranked = rankGaps(findHedgeCandidates(reply.text, active), { openQuestions, rankingConfig: extractionConfig.ranking })
+        .slice(0, maxGaps);
+
+    return ranked.map(({ question, score, factors }, idx) => ({
+        id: `gap_${Date.now()}_hedge${idx}`,
+        question,
+        language,
+        score,
+        scoreFactors: factors,
+        source: 'agent_hedge',
+        origin,
+        context: buildGapContext({
+            turns,
+            needle: question,
+            origin,
+            source: 'agent_hedge',
+            contextConfig: extractionConfig.context,
+            role: 'assistant'
+        }),
+        entropy,
+        method: 'hedge'
+    }));
+}
+
+/**
+ * The recent exchange as role-labelled text for the LLM extractor. Unlike
+ * the regex path this keeps assistant turns — an implicit gap ("that still
+ * doesn't explain the 3am spikes") only makes sense next to the answer it
+ * pushes back on. Keeps the most recent `maxChars`.
+ */
+function buildExchangeText(messages, maxChars = 4000) {
+    const text = recentTurns(messages)
+        .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.text}`)
+        .join('\n\n');
+    return text.length > maxChars ? text.slice(text.length - maxChars) : text;
+}
+
+function clamp01(value, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : fallback;
+}
+
+/**
+ * Parse the extractor's JSON array of { question, significance, quote }.
+ * Entries without a usable question are dropped; returns [] when the
+ * reply holds no array.
+ */
+function parseExtraction(text) {
+    const match = String(text || '').match(/\[[\s\S]*\]/);
+    if (!match) return [];
+    let parsed;
+    try {
+        parsed = JSON.parse(match[0]);
+    } catch {
+        return [];
+    }
+    if (!Array.isArray(parsed)) return [];
+
+    return parsed
+        .filter(item => item && typeof item.question === 'string' && item.question.trim().length >= 10)
+        .map(item => ({
+            question: item.question.trim(),
+            significance: clamp01(item.significance, 0.5),
+            quote: typeof item.quote === 'string' ? item.quote.trim() : ''
+        }));
+}
+
+/**
+ * LLM extraction: send the cleaned recent exchange to the model and keep
+ * the best-ranked candidates at or above `extraction.llm.minSignificance`. Not gated by entropy — judging significance is the
+ * model's job here. `call(prompt)` returns the model's text.
+ */
+async function identifyGapsLLM({ messages, extractionConfig = {}, source, origin = null, call, template, agentId, openQuestions = [] }) {
+    const llmConfig = extractionConfig.llm || {};
+    const maxGaps = extractionConfig.maxGapsPerExchange || 2;
+    const conversation = buildExchangeText(messages, llmConfig.maxInputChars ?? 4000);
+    if (!conversation) return [];
+    const turns = recentTurns(messages);
+
+    const prompt = prompts.render(template || prompts.BUILTIN.extraction, {
+        conversation,
+        maxGaps,
+        agentId: agentId || 'main'
+    });
+    const minSignificance = llmConfig.minSignificance ?? 0.5;
+    const candidates = parseExtraction(await call(prompt))
+        .filter(c => c.significance >= minSignificance)
+        .map(c => ({ ...c, wonder: c.significance }));
+    const ranked = rankGaps(candidates, { openQuestions, rankingConfig: extractionConfig.ranking })
+        .slice(0, maxGaps);
+
+    return ranked.map((c, idx) => ({
+        id: `gap_${Date.now()}_llm${idx}`,
+        question: c.question,
+        language: null,
         source: source || `exchange_${new Date().toISOString()}`,
-        // Store cleaned conversation as context for the contemplation passes
-        context: conversationText.slice(0, 1200),
-        entropy
+        origin,
+        context: buildGapContext({
+            turns,
+            needle: c.quote || c.question,
+            origin,
+            source,
+            contextConfig: extractionConfig.context
+        }),
+        entropy: 0,
+        method: 'llm',
+        significance: c.significance,
+        quote: c.quote,
+        score: c.score,
+        scoreFactors: c.factors
     }));
 }
 
+/**
+ * Hybrid mode: regex hits plus the LLM candidates that don't restate one of
+ * them, best score first. A regex hit the model also found picks up its
+ * significance and quote, and the better of the two scores.
+ */
+function mergeGaps(regexGaps, llmGaps, maxGaps = 2) {
+    const merged = regexGaps.map(g => ({ ...g }));
+    for (const candidate of llmGaps) {
+        const same = merged.find(g => (
+            g.question.toLowerCase() === candidate.question.toLowerCase() ||
+            tokenOverlap(g.question, candidate.question) >= 0.6
+        ));
+        if (same) {
+            if (same.method === 'regex') {
+                Object.assign(same, {
+                    method: 'hybrid',
+                    significance: candidate.significance,
+                    quote: candidate.quote,
+                    score: Math.max(same.score ?? 0, candidate.score ?? 0)
+                });
+            }
+            continue;
+        }
+        merged.push({ ...candidate, entropy: regexGaps[0]?.entropy ?? candidate.entropy });
+    }
+    return merged
+        .map((g, idx) => ({ g, idx }))
+        .sort((a, b) => (b.g.score ?? 0) - (a.g.score ?? 0) || a.idx - b.idx)
+        .map(({ g }) => g)
+        .slice(0, maxGaps);
+}
+
 module.exports = {
     identifyGaps,
+    identifyHedgeGaps,
+    scoreGap,
+    rankGaps,
+    identifyGapsLLM,
+    mergeGaps,
+    parseExtraction,
+    buildExchangeText,
+    buildGapContext,
     normalizeText,
     stripContextBlocks,
+    explainCleaning,
     extractGapsFromText
 };
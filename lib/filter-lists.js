@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJsonOrReset, writeJsonAtomic } = require('./atomic');
+
+const LISTS = ['allow', 'deny'];
+
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+function normalizeQuestion(question) {
+  return String(question || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function invalidEntry(message) {
+  const err = new Error(message);
+  err.code = 'FILTER_LIST_INVALID';
+  return err;
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw invalidEntry(`Invalid pattern: ${err.message}`);
+  }
+}
+
+/**
+ * Per-agent allow and deny lists for the inquiry filter, persisted to
+ * data/agents/<id>/filter-lists.json. An entry is an exact question
+ * (compared case- and whitespace-insensitively) or a regex pattern.
+ * filter.shouldBlock() consults them before its regex and LLM stages:
+ * question entries beat patterns, and at the same level allow beats deny,
+ * so a reviewed false positive stays let through. An unreadable file is
+ * restored from its backup, or else moved aside and the lists start empty
+ * (`recoveredFrom: 'reset'`) rather than failing the agent.
+ */
+class FilterLists {
+  constructor(baseDir, agentId) {
+    this.agentId = agentId || 'main';
+    this.agentDir = path.join(baseDir, 'agents', this.agentId);
+    this.filePath = path.join(this.agentDir, 'filter-lists.json');
+    ensureDir(this.agentDir);
+    const loaded = loadJsonOrReset(
+      this.filePath,
+      { allow: [], deny: [] },
+      d => !!d && Array.isArray(d.allow) && Array.isArray(d.deny)
+    );
+    this.state = loaded.data;
+    this.recoveredFrom = loaded.recoveredFrom;
+    this._compiled = null;
+  }
+
+  persist() {
+    ensureDir(this.agentDir);
+    writeJsonAtomic(this.filePath, this.state);
+    this._compiled = null;
+  }
+
+  /**
+   * Add `{ question }` or `{ pattern }` to the allow or deny list.
+   * Throws FILTER_LIST_INVALID for an unknown list, a missing value or a
+   * pattern that doesn't compile. Re-adding an existing entry returns it.
+   */
+  add(list, { question, pattern, note = null, blockedId = null } = {}) {
+    if (!LISTS.includes(list)) throw invalidEntry(`Unknown list "${list}" (expected allow or deny)`);
+    if (!question === !pattern) throw invalidEntry('Exactly one of question or pattern is required');
+
+    const type = question ? 'question' : 'pattern';
+    const value = question ? String(question).trim() : String(pattern);
+    if (type === 'pattern') compilePattern(value);
+
+    const key = type === 'question' ? normalizeQuestion(value) : value;
+    const existing = this.state[list].find(e => e.type === type && (type === 'question' ? normalizeQuestion(e.value) : e.value) === key);
+    if (existing) return existing;
+
+    const entry = {
+      id: `fl_${Math.random().toString(36).slice(2, 10)}`,
+      type,
+      value,
+      note,
+      blockedId,
+      createdAt: new Date().toISOString()
+    };
+    this.state[list].push(entry);
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * Remove an entry by id from either list. Returns the removed entry or null.
+   */
+  remove(entryId) {
+    for (const list of LISTS) {
+      const idx = this.state[list].findIndex(e => e.id === entryId);
+      if (idx !== -1) {
+        const [entry] = this.state[list].splice(idx, 1);
+        this.persist();
+        return { list, entry };
+      }
+    }
+    return null;
+  }
+
+  list() {
+    return { allow: this.state.allow, deny: this.state.deny };
+  }
+
+  _compile() {
+    if (this._compiled) return this._compiled;
+    const compiled = {};
+    for (const list of LISTS) {
+      compiled[list] = {
+        questions: new Map(this.state[list].filter(e => e.type === 'question').map(e => [normalizeQuestion(e.value), e])),
+        // A pattern edited into the file by hand that doesn't compile is skipped
+        patterns: this.state[list].filter(e => e.type === 'pattern').flatMap(e => {
+          try {
+            return [{ entry: e, regex: compilePattern(e.value) }];
+          } catch {
+            return [];
+          }
+        })
+      };
+    }
+    this._compiled = compiled;
+    return compiled;
+  }
+
+  /**
+   * The entry deciding `question`, as { list, entry }, or null when neither
+   * list has an opinion.
+   */
+  match(question) {
+    const compiled = this._compile();
+    const key = normalizeQuestion(question);
+    for (const list of LISTS) {
+      const entry = compiled[list].questions.get(key);
+      if (entry) return { list, entry };
+    }
+    for (const list of LISTS) {
+      const hit = compiled[list].patterns.find(p => p.regex.test(question));
+      if (hit) return { list, entry: hit.entry };
+    }
+    return null;
+  }
+}
+
+module.exports = FilterLists;
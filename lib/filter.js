@@ -4,12 +4,21 @@
  * Runs on every new inquiry BEFORE it enters the queue.
  * Stage 1: Regex/heuristics for obvious patterns (fast)
  * Stage 2: LLM fallback if confidence < threshold
+ *
+ * `filter.classifierMode` picks the stages: "hybrid" (both, as above),
+ * "regex" (stage 1 only) or "llm" (every question goes to the model).
+ * Categories are the built-ins enabled by `blockCategories` plus
+ * `filter.customCategories`, each with a regex, confidence and description.
  * 
- * Blocked inquiries are logged to JSONL for review.
+ * Blocked inquiries are logged to JSONL for review; per-agent allow/deny
+ * lists (filter-lists.js) are consulted before either stage.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { resolveLLMOptions } = require('./reflect');
+const prompts = require('./prompts');
+const LLMCache = require('./llm-cache');
 
 // ── Stage 1: Regex/Heuristic Classifiers ──────────────────────────────────
 
@@ -43,135 +52,370 @@ function isGraphArtifact(question) {
   return false;
 }
 
+const CLASSIFIER_MODES = ['regex', 'llm', 'hybrid'];
+
+// Built-in categories, in the order they're checked. `blockCategories`
+// enables them by name; `description` goes into the LLM classifier prompt.
+const BUILTIN_CATEGORIES = [
+  {
+    name: 'tool_or_app_name',
+    label: 'Tool/app name',
+    confidence: 0.95,
+    test: q => TOOL_PATTERN.test(q),
+    description: 'just the name of a tool, app, library or service'
+  },
+  {
+    name: 'nickname_or_address_form',
+    aliases: ['address_form'],
+    label: 'Address form',
+    confidence: 0.9,
+    test: q => ADDRESS_FORM_PATTERN.test(q),
+    description: 'a nickname or form of address (Mr, boss, darling)'
+  },
+  {
+    name: 'agent_self_reference',
+    label: 'Self-reference',
+    confidence: 0.85,
+    test: q => SELF_REFERENCE_PATTERN.test(q),
+    description: 'the agent asking about its own name or identity'
+  },
+  {
+    name: 'graph_frequency_artifact',
+    label: 'Graph artifact',
+    confidence: 0.7,
+    test: isGraphArtifact,
+    description: 'a short fragment with no question in it, left over from topic-graph frequency counts'
+  },
+  {
+    // Lower confidence — could be a real question about a person
+    name: 'person_name',
+    label: 'Possible person name',
+    confidence: 0.6,
+    test: q => PERSON_NAME_PATTERN.test(q),
+    description: 'a bare person name'
+  }
+];
+
+function invalidCategory(name, message) {
+  const err = new Error(`Filter category "${name}": ${message}`);
+  err.code = 'FILTER_CATEGORY_INVALID';
+  return err;
+}
+
 /**
- * Stage 1: Regex/heuristic classification
- * Returns { blocked, confidence, reason, category }
+ * A `filter.customCategories` entry: { name, pattern?, confidence?,
+ * description? }. A category without a pattern is only known to the LLM.
  */
-function classifyRegex(question, blockCategories) {
-  const trimmed = question.trim();
-  const categories = new Set(blockCategories || []);
-
-  if (categories.has('tool_or_app_name') && TOOL_PATTERN.test(trimmed)) {
-    return { blocked: true, confidence: 0.95, reason: `Tool/app name: "${trimmed}"`, category: 'tool_or_app_name' };
+function compileCustomCategory(spec, idx) {
+  if (!spec || typeof spec !== 'object' || !spec.name) throw invalidCategory(`#${idx}`, 'needs a name');
+  const name = String(spec.name);
+  if (name === 'genuine' || BUILTIN_CATEGORIES.some(c => c.name === name || c.aliases?.includes(name))) {
+    throw invalidCategory(name, 'name is taken by a built-in category');
   }
+  if (!spec.pattern && !spec.description) throw invalidCategory(name, 'needs a pattern or a description');
 
-  if (categories.has('address_form') || categories.has('nickname_or_address_form')) {
-    if (ADDRESS_FORM_PATTERN.test(trimmed)) {
-      return { blocked: true, confidence: 0.9, reason: `Address form: "${trimmed}"`, category: 'nickname_or_address_form' };
+  let regex = null;
+  if (spec.pattern) {
+    try {
+      regex = new RegExp(spec.pattern, 'i');
+    } catch (err) {
+      throw invalidCategory(name, err.message);
     }
   }
-
-  if (categories.has('agent_self_reference') && SELF_REFERENCE_PATTERN.test(trimmed)) {
-    return { blocked: true, confidence: 0.85, reason: `Self-reference: "${trimmed}"`, category: 'agent_self_reference' };
+  const confidence = spec.confidence ?? 0.8;
+  if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+    throw invalidCategory(name, 'confidence must be a number from 0 to 1');
   }
+  return {
+    name,
+    label: spec.label || name,
+    confidence,
+    test: regex ? q => regex.test(q) : null,
+    description: spec.description || null,
+    custom: true
+  };
+}
+
+const loadedCategories = new WeakMap(); // filter config → { categories, errors }
+
+/**
+ * The categories in effect for a filter config: custom categories first
+ * (checked before the built-ins), then the built-ins `blockCategories`
+ * enables. Returns { categories, errors } — a custom category that doesn't
+ * compile is left out and its FILTER_CATEGORY_INVALID error collected.
+ */
+function loadCategories(filterConfig) {
+  filterConfig = filterConfig || {};
+  if (loadedCategories.has(filterConfig)) return loadedCategories.get(filterConfig);
 
-  if (categories.has('graph_frequency_artifact') && isGraphArtifact(trimmed)) {
-    return { blocked: true, confidence: 0.7, reason: `Graph artifact: "${trimmed}"`, category: 'graph_frequency_artifact' };
+  const errors = [];
+  const custom = [];
+  const customSpecs = filterConfig.customCategories || [];
+  if (!Array.isArray(customSpecs)) {
+    errors.push(invalidCategory('customCategories', 'must be an array'));
+  } else {
+    customSpecs.forEach((spec, idx) => {
+      try {
+        custom.push(compileCustomCategory(spec, idx));
+      } catch (err) {
+        errors.push(err);
+      }
+    });
   }
 
-  if (categories.has('person_name') && PERSON_NAME_PATTERN.test(trimmed)) {
-    // Lower confidence — could be a real question about a person
-    return { blocked: true, confidence: 0.6, reason: `Possible person name: "${trimmed}"`, category: 'person_name' };
+  const enabled = new Set(filterConfig.blockCategories || []);
+  const builtins = BUILTIN_CATEGORIES.filter(c => enabled.has(c.name) || c.aliases?.some(a => enabled.has(a)));
+
+  const loaded = { categories: [...custom, ...builtins], errors };
+  loadedCategories.set(filterConfig, loaded);
+  return loaded;
+}
+
+/**
+ * Stage 1: Regex/heuristic classification against the enabled categories
+ * (see loadCategories). Returns { blocked, confidence, reason, category }
+ */
+function classifyRegex(question, filterConfig) {
+  const trimmed = question.trim();
+
+  for (const category of loadCategories(filterConfig).categories) {
+    if (category.test && category.test(trimmed)) {
+      return { blocked: true, confidence: category.confidence, reason: `${category.label}: "${trimmed}"`, category: category.name };
+    }
   }
 
   return { blocked: false, confidence: 0, reason: '', category: '' };
 }
 
 /**
- * Stage 2: LLM classification fallback
+ * Stage 2: LLM classification. The enabled categories and their
+ * descriptions fill `{{categories}}` and `{{categoryNames}}`; a custom
+ * classifier template without `{{categories}}` gets the list appended.
+ * A failed call or unparseable reply comes back with `failed: true`.
+ * Verdicts are cached per model in `cache` (an LLMCache) when given.
  */
-async function classifyLLM(question, config, callLLM) {
-  const prompt = [
-    'Is this a genuine knowledge gap or contemplative question worth thinking about over time,',
-    'or is it noise (a person name, tool name, address form, self-reference, or graph topology artifact)?',
-    '',
-    `Question: "${question}"`,
-    '',
-    'Reply with ONLY valid JSON: {"isNoise": true/false, "category": "person_name|tool_or_app_name|nickname_or_address_form|agent_self_reference|graph_frequency_artifact|genuine", "confidence": 0.0-1.0}'
-  ].join('\n');
+async function classifyLLM(question, config, callLLM, promptOptions = {}, cache = null) {
+  const llmOptions = resolveLLMOptions(config.llm, config.filter);
+  const model = LLMCache.modelKey(llmOptions);
+  const cached = cache?.get('classifier', model, question);
+  if (cached) return { ...cached, cached: true };
+
+  const { template } = prompts.resolveTemplate('classifier', {
+    dir: promptOptions.dir,
+    promptsConfig: config.prompts
+  });
+  const { categories } = loadCategories(config.filter);
+  const categoryList = categories.map(c => `- ${c.name}${c.description ? `: ${c.description}` : ''}`).join('\n');
+  let prompt = prompts.render(template, {
+    question,
+    agentId: promptOptions.agentId || 'main',
+    categories: categoryList,
+    categoryNames: [...categories.map(c => c.name), 'genuine'].join('|')
+  });
+  if (categoryList && !prompts.hasPlaceholder(template, 'categories')) {
+    prompt += `\n\nNoise categories:\n${categoryList}`;
+  }
 
   try {
     const result = await callLLM({
-      endpoint: config.llm?.endpoint || 'http://localhost:8080/v1/chat/completions',
-      model: config.llm?.model,
+      ...llmOptions,
       prompt,
-      temperature: 0.2,
-      maxTokens: 150,
-      timeoutMs: config.llm?.timeoutMs ?? 15000,
-      apiKey: config.llm?.apiKey || null,
-      format: config.llm?.format || null
+      temperature: llmOptions.temperature ?? 0.2,
+      maxTokens: llmOptions.maxTokens ?? 150,
+      timeoutMs: llmOptions.timeoutMs ?? 15000
     });
 
     const match = result.match(/\{[^}]+\}/s);
     if (match) {
       const parsed = JSON.parse(match[0]);
-      return {
+      const verdict = {
         blocked: !!parsed.isNoise,
         confidence: Number(parsed.confidence || 0.5),
         reason: `LLM classified as ${parsed.category || 'unknown'}`,
         category: parsed.category || 'unknown'
       };
+      if (cache) cache.set('classifier', model, question, verdict);
+      return verdict;
     }
   } catch (err) {
     // LLM failed — don't block on uncertainty
-    return { blocked: false, confidence: 0, reason: `LLM fallback failed: ${err.message}`, category: '' };
+    return { blocked: false, confidence: 0, reason: `LLM fallback failed: ${err.message}`, category: '', failed: true };
   }
 
-  return { blocked: false, confidence: 0, reason: 'LLM response unparseable', category: '' };
+  return { blocked: false, confidence: 0, reason: 'LLM response unparseable', category: '', failed: true };
+}
+
+function blockedLogPath(config) {
+  return path.resolve(__dirname, '..', config.filter?.blockedLogPath || 'blocked-inquiries.jsonl');
 }
 
 /**
- * Log a blocked inquiry to JSONL file
+ * Log a blocked inquiry to JSONL file. `meta` is { agentId, inquiry } —
+ * the gap's source, context, origin, entropy, score, tags, pipeline and
+ * priority, kept so a false positive can be restored as it was (see
+ * restoredGap). Returns the entry, or null when logging is off.
  */
-function logBlocked(question, result, config) {
-  if (!config.filter?.logBlocked) return;
+function logBlocked(question, result, config, meta = {}) {
+  if (!config.filter?.logBlocked) return null;
 
-  const logPath = path.resolve(__dirname, '..', config.filter.blockedLogPath || 'blocked-inquiries.jsonl');
-  const entry = JSON.stringify({
+  const entry = {
+    id: `blk_${Math.random().toString(36).slice(2, 10)}`,
     timestamp: new Date().toISOString(),
+    agentId: meta.agentId || null,
     question,
     category: result.category,
     confidence: result.confidence,
     stage: result.stage || 'regex',
-    reason: result.reason
-  });
+    reason: result.reason,
+    inquiry: meta.inquiry || null
+  };
 
   try {
-    fs.appendFileSync(logPath, entry + '\n');
+    fs.appendFileSync(blockedLogPath(config), JSON.stringify(entry) + '\n');
   } catch (err) {
     // Silent fail — logging shouldn't break the pipeline
   }
+  return entry;
+}
+
+/**
+ * Blocked entries for an agent, oldest first, each with `restored` (the
+ * restore record or null). The log is append-only: restores are recorded
+ * as `{ restored: <id>, ... }` lines. Entries written before ids and agent
+ * ids were logged get `blk_line<N>` and show up for every agent.
+ */
+function readBlocked(config, { agentId } = {}) {
+  let raw;
+  try {
+    raw = fs.readFileSync(blockedLogPath(config), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const entries = [];
+  const restores = new Map();
+  raw.split('\n').forEach((line, idx) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      return; // a torn line from a crash mid-append
+    }
+    if (record.restored) {
+      restores.set(record.restored, record);
+    } else if (record.question) {
+      entries.push({ ...record, id: record.id || `blk_line${idx + 1}`, agentId: record.agentId || null });
+    }
+  });
+
+  return entries
+    .filter(e => !agentId || !e.agentId || e.agentId === agentId)
+    .map(e => ({ ...e, restored: restores.get(e.id) || null }));
+}
+
+/**
+ * The gap to re-queue for a blocked entry: its question plus the logged gap
+ * fields that still have the right type. Anything else in the line (a
+ * hand-edited id, status or passes) never reaches the store.
+ */
+function restoredGap(entry) {
+  const logged = entry.inquiry || {};
+  const text = value => (typeof value === 'string' && value ? value : undefined);
+  const number = value => (Number.isFinite(value) ? value : undefined);
+  return {
+    question: entry.question,
+    context: text(logged.context) || entry.question,
+    source: text(logged.source) || 'restored',
+    origin: logged.origin && typeof logged.origin === 'object' && !Array.isArray(logged.origin) ? logged.origin : null,
+    entropy: number(logged.entropy),
+    score: number(logged.score),
+    priority: number(logged.priority),
+    tags: Array.isArray(logged.tags) ? logged.tags.filter(t => typeof t === 'string') : undefined,
+    pipeline: text(logged.pipeline)
+  };
+}
+
+/**
+ * Append a restore record for a blocked entry.
+ */
+function recordRestore(config, { id, agentId, inquiryId, by }) {
+  const record = { restored: id, agentId, inquiryId, by: by || 'gateway', timestamp: new Date().toISOString() };
+  fs.appendFileSync(blockedLogPath(config), JSON.stringify(record) + '\n');
+  return record;
 }
 
 /**
  * Main filter function — should be called before addInquiry()
- * 
+ *
+ * The agent's allow/deny lists (lib/filter-lists.js) decide first: an
+ * allowed question skips both stages, a denied one is blocked and logged
+ * (category "deny_list"). They apply even with the filter disabled.
+ *
  * @param {string} question - The inquiry question text
  * @param {object} config - Full plugin config (needs filter.* and llm.*)
  * @param {function} callLLM - The callLLM function from reflect.js
+ * @param {object} [promptOptions] - { dir, agentId } for the classifier prompt template
+ * @param {object} [options] - { lists, inquiry, cache }: the agent's
+ *   FilterLists, the gap fields to log with a block (see logBlocked) and the
+ *   agent's LLMCache for classifier verdicts
  * @returns {Promise<{blocked: boolean, reason: string, category: string}>}
  */
-async function shouldBlock(question, config, callLLM) {
+async function shouldBlock(question, config, callLLM, promptOptions, { lists, inquiry, cache } = {}) {
+  const meta = { agentId: promptOptions?.agentId, inquiry };
+
+  // Stage 0: the agent's reviewed allow/deny lists
+  const listed = lists?.match(question);
+  if (listed?.list === 'allow') {
+    return { blocked: false, reason: `Allow list: ${listed.entry.value}`, category: '', stage: 'allow_list' };
+  }
+  if (listed?.list === 'deny') {
+    const denied = {
+      blocked: true,
+      confidence: 1,
+      reason: `Deny list: ${listed.entry.value}`,
+      category: 'deny_list',
+      stage: 'deny_list'
+    };
+    logBlocked(question, denied, config, meta);
+    return denied;
+  }
+
   if (!config.filter?.enabled) {
     return { blocked: false, reason: 'filter disabled', category: '' };
   }
 
+  const mode = CLASSIFIER_MODES.includes(config.filter.classifierMode) ? config.filter.classifierMode : 'hybrid';
+  const threshold = config.filter.llmFallbackThreshold || 0.5;
+
+  // "llm" mode: the model classifies every question. Without a caller
+  // (budget exhausted) or when the call fails, the regex stage decides.
+  if (mode === 'llm' && callLLM) {
+    const llmResult = await classifyLLM(question, config, callLLM, promptOptions, cache);
+    llmResult.stage = 'llm';
+    if (!llmResult.failed) {
+      if (llmResult.blocked) logBlocked(question, llmResult, config, meta);
+      return llmResult;
+    }
+  }
+
   // Stage 1: Regex/heuristics
-  const regexResult = classifyRegex(question, config.filter.blockCategories);
+  const regexResult = classifyRegex(question, config.filter);
 
-  if (regexResult.blocked && regexResult.confidence >= (config.filter.llmFallbackThreshold || 0.5)) {
+  if (regexResult.blocked && regexResult.confidence >= threshold) {
     regexResult.stage = 'regex';
-    logBlocked(question, regexResult, config);
+    logBlocked(question, regexResult, config, meta);
     return regexResult;
   }
 
-  // Stage 2: LLM fallback (if regex confidence below threshold or not blocked)
-  if (regexResult.confidence > 0 && regexResult.confidence < (config.filter.llmFallbackThreshold || 0.5)) {
+  // Stage 2 ("hybrid" only): LLM fallback if regex confidence below threshold
+  if (mode === 'hybrid' && regexResult.confidence > 0 && regexResult.confidence < threshold) {
     if (callLLM) {
-      const llmResult = await classifyLLM(question, config, callLLM);
+      const llmResult = await classifyLLM(question, config, callLLM, promptOptions, cache);
       llmResult.stage = 'llm';
       if (llmResult.blocked) {
-        logBlocked(question, llmResult, config);
+        logBlocked(question, llmResult, config, meta);
       }
       return llmResult;
     }
@@ -179,9 +423,9 @@ async function shouldBlock(question, config, callLLM) {
 
   // Not blocked by either stage
   if (regexResult.blocked) {
-    // Regex said block but low confidence and no LLM available — block anyway
+    // Regex said block but low confidence and no LLM stage — block anyway
     regexResult.stage = 'regex';
-    logBlocked(question, regexResult, config);
+    logBlocked(question, regexResult, config, meta);
     return regexResult;
   }
 
@@ -189,8 +433,14 @@ async function shouldBlock(question, config, callLLM) {
 }
 
 module.exports = {
+  BUILTIN_CATEGORIES,
+  CLASSIFIER_MODES,
   shouldBlock,
+  loadCategories,
   classifyRegex,
   classifyLLM,
-  logBlocked
+  logBlocked,
+  readBlocked,
+  restoredGap,
+  recordRestore
 };
@@ -0,0 +1,78 @@
+/**
+ * Record/replay fixtures for LLM calls.
+ *
+ * In "record" mode every successful request is written to
+ * `<dir>/<key>.json` as a request/response pair; in "replay" mode requests
+ * are answered from those files and never reach the network. The key hashes
+ * format, model, prompt, temperature and maxTokens — not the endpoint — so
+ * fixtures recorded against one provider replay against any other.
+ *
+ * Mode comes from `configure()` (the plugin passes `config.fixtures`), and
+ * CONTEMPLATION_LLM_FIXTURES / CONTEMPLATION_LLM_FIXTURES_DIR override it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./atomic');
+
+const MODES = ['off', 'record', 'replay'];
+
+let settings = { mode: 'off', dir: null };
+
+function configure({ mode, dir } = {}) {
+  if (mode && !MODES.includes(mode)) {
+    throw new Error(`Unknown fixtures mode "${mode}" (expected ${MODES.join(', ')})`);
+  }
+  settings = { mode: mode || 'off', dir: dir || null };
+}
+
+function current() {
+  const mode = process.env.CONTEMPLATION_LLM_FIXTURES || settings.mode;
+  const dir = process.env.CONTEMPLATION_LLM_FIXTURES_DIR || settings.dir
+    || path.join(__dirname, '..', 'data', 'fixtures');
+  return { mode: MODES.includes(mode) ? mode : 'off', dir };
+}
+
+function fixtureKey({ format, model, prompt, temperature, maxTokens }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([format, model ?? null, prompt, temperature ?? null, maxTokens ?? null]))
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * Replay a recorded response ({ text, usage }). A missing fixture throws a
+ * non-retryable error (code FIXTURE_MISSING) so provider fallback doesn't
+ * mask it.
+ */
+function replay(request) {
+  const { dir } = current();
+  const key = fixtureKey(request);
+  const filePath = path.join(dir, `${key}.json`);
+  if (!fs.existsSync(filePath)) {
+    const err = new Error(`No LLM fixture ${key} in ${dir} (replay mode) for prompt "${String(request.prompt).slice(0, 60)}"`);
+    err.code = 'FIXTURE_MISSING';
+    throw err;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).response;
+}
+
+function record(request, response) {
+  const { dir } = current();
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  writeJsonAtomic(path.join(dir, `${fixtureKey(request)}.json`), {
+    request,
+    response,
+    recorded: new Date().toISOString()
+  }, { backup: false });
+}
+
+module.exports = {
+  MODES,
+  configure,
+  current,
+  fixtureKey,
+  replay,
+  record
+};
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const pipelines = require('./pipeline');
+const { createStorage } = require('./storage');
 
 function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) {
@@ -11,29 +13,102 @@ function iso(ms) {
   return new Date(ms).toISOString();
 }
 
-function readJson(filePath, fallback) {
-  if (!fs.existsSync(filePath)) return fallback;
-  try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch {
-    return fallback;
-  }
-}
+// Statuses an inquiry can be moved into by hand (or by the quality gate), and
+// where from. paused inquiries keep their pass schedule; cancelled, abandoned
+// and low_quality are terminal.
+const TRANSITIONS = {
+  paused: ['in_progress'],
+  in_progress: ['paused', 'failed'],
+  low_quality: ['in_progress', 'completed'],
+  cancelled: ['in_progress', 'paused', 'failed', 'low_quality'],
+  abandoned: ['in_progress', 'paused', 'failed', 'low_quality']
+};
+
+// Verb naming a move to each status, for `cannot_<verb>_from_<status>` errors.
+// in_progress is "resume", or "retry" when only allowed from failed.
+const STATUS_VERBS = {
+  paused: 'pause',
+  in_progress: 'resume',
+  low_quality: 'mark_low_quality',
+  cancelled: 'cancel',
+  abandoned: 'abandon'
+};
+
+// Statuses that still count as "open" for deduplication
+const OPEN_STATUSES = new Set(['in_progress', 'paused']);
+
+// One store per agent data directory in this process, so duplicate plugin
+// registrations don't hold diverging copies of the same data.
+const openStores = new Map();
 
 class InquiryStore {
-  constructor(baseDir, agentId, passesConfig, priorityConfig) {
+  constructor(baseDir, agentId, passesConfig, priorityConfig, pipelinesConfig, storageConfig) {
     this.agentId = agentId || 'main';
     this.passesConfig = passesConfig || {};
     this.priorityConfig = priorityConfig || {};
+    this.pipelinesConfig = pipelinesConfig || {};
     this.agentDir = path.join(baseDir, 'agents', this.agentId);
-    this.filePath = path.join(this.agentDir, 'inquiries.json');
     ensureDir(this.agentDir);
-    this.state = readJson(this.filePath, { inquiries: [] });
+    this.backend = createStorage(this.agentDir, storageConfig);
+    const loaded = this.backend.load();
+    this.state = { inquiries: loaded.inquiries };
+    this.recoveredFrom = loaded.recoveredFrom;
+    this.index = new Map();
+  }
+
+  /**
+   * Shared store for an agent: returns the already-open instance for the same
+   * data directory if there is one.
+   */
+  static open(baseDir, agentId, passesConfig, priorityConfig, pipelinesConfig, storageConfig) {
+    const agentDir = path.join(baseDir, 'agents', agentId || 'main');
+    if (!openStores.has(agentDir)) {
+      openStores.set(agentDir, new InquiryStore(baseDir, agentId, passesConfig, priorityConfig, pipelinesConfig, storageConfig));
+    }
+    return openStores.get(agentDir);
   }
 
-  persist() {
+  /**
+   * Persist state. Pass the inquiry that changed when there is exactly one —
+   * indexed backends then write only that record. Its `updatedAt` is bumped,
+   * which decides merges with other processes writing the same file.
+   */
+  persist(inquiry) {
+    if (inquiry) inquiry.updatedAt = new Date().toISOString();
     ensureDir(this.agentDir);
-    fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+    this.backend.save(this.state, inquiry ? [inquiry] : undefined);
+  }
+
+  _byId(ids) {
+    if (ids.some(id => !this.index.has(id))) {
+      this.index = new Map(this.state.inquiries.map(i => [i.id, i]));
+    }
+    return ids.map(id => this.index.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Inquiries filtered by status, tag and/or source (substring).
+   * Uses the backend's indexes when it has them.
+   */
+  find({ status, tag, source } = {}) {
+    const ids = this.backend.queryIds({ status, tag, source });
+    if (ids) return this._byId(ids);
+    const src = source ? source.toLowerCase() : null;
+    const wantTag = tag ? tag.toLowerCase() : null;
+    return this.state.inquiries.filter(i =>
+      (!status || i.status === status) &&
+      (!src || (i.source || '').toLowerCase().includes(src)) &&
+      (!wantTag || (i.tags || []).some(t => String(t).toLowerCase() === wantTag))
+    );
+  }
+
+  /**
+   * Mirror a written growth vector into the backend, if it keeps them.
+   */
+  recordGrowthVector(vector) {
+    if (typeof this.backend.saveGrowthVector === 'function') {
+      this.backend.saveGrowthVector(vector);
+    }
   }
 
   list() {
@@ -44,7 +119,7 @@ class InquiryStore {
    * Calculate priority for an inquiry based on source, tags, and entropy.
    * Explicit priority parameter overrides auto-calculation.
    */
-  _calculatePriority({ source, tags, entropy, explicitPriority }) {
+  _calculatePriority({ source, tags, entropy, gapScore, explicitPriority }) {
     if (typeof explicitPriority === 'number') return explicitPriority;
 
     const pc = this.priorityConfig;
@@ -61,59 +136,96 @@ class InquiryStore {
       return pc.manual ?? 100;
     }
 
-    // Entropy-based scoring with default fallback
+    const score = Number.isFinite(gapScore) ? gapScore : 0;
+
+    // Agent hedges: their own base and gap-score weight, no entropy term
+    if (src.includes('agent_hedge')) {
+      return Math.round((pc.agentHedge ?? 10) + score * (pc.agentHedgeMultiplier ?? 20));
+    }
+
+    // Entropy- and gap-score-based scoring with default fallback
     const base = pc.defaultPriority ?? 0;
     const multiplier = pc.entropyMultiplier ?? 10;
     const ent = Number.isFinite(entropy) ? entropy : 0;
-    return Math.round(base + (ent * multiplier));
+    return Math.round(base + (ent * multiplier) + (score * (pc.gapScoreMultiplier ?? 20)));
+  }
+
+  /**
+   * Pass config ({ delayMs, prompt, ... }) for a pass of this inquiry's pipeline.
+   */
+  getPassConfig(inquiry, passNumber) {
+    return pipelines.getPassConfig(this.passesConfig, this.pipelinesConfig, inquiry, passNumber);
   }
 
-  addInquiry({ question, source, entropy, context, priority, tags }) {
-    // Dedup: skip if identical question already in_progress (compare first 80 chars)
+  /**
+   * Priority used for scheduling: base priority plus an aging boost that grows
+   * with time spent waiting since the pass became due, capped at
+   * `aging.maxBoost`. A pass waiting longer than `aging.maxWaitMs` is flagged
+   * `overdue` and jumps ahead of everything that isn't.
+   */
+  getEffectivePriority(inquiry, nowMs = Date.now()) {
+    const base = inquiry.priority || 0;
+    const aging = this.priorityConfig.aging || {};
+    const next = inquiry.passes
+      .filter(p => p.scheduled && !p.completed)
+      .sort((a, b) => a.number - b.number)[0];
+    const dueMs = next ? Date.parse(next.scheduled) : NaN;
+    if (!aging.enabled || inquiry.status !== 'in_progress' || !Number.isFinite(dueMs) || dueMs > nowMs) {
+      return { priority: base, boost: 0, waitedMs: 0, overdue: false };
+    }
+
+    const waitedMs = nowMs - dueMs;
+    const perHour = aging.pointsPerHour ?? 1;
+    const maxBoost = aging.maxBoost ?? 100;
+    const boost = Math.min(maxBoost, Math.round((waitedMs / 3600000) * perHour));
+    const overdue = Number.isFinite(aging.maxWaitMs) && aging.maxWaitMs > 0 && waitedMs >= aging.maxWaitMs;
+    return { priority: base + boost, boost, waitedMs, overdue };
+  }
+
+  addInquiry({ question, source, entropy, context, priority, tags, pipeline, score, origin }) {
+    // Dedup: skip if identical question already open (compare first 80 chars)
     const qKey = (question || '').slice(0, 80);
     const existing = this.state.inquiries.find(
-      i => i.status === 'in_progress' && (i.question || '').slice(0, 80) === qKey
+      i => OPEN_STATUSES.has(i.status) && (i.question || '').slice(0, 80) === qKey
     );
     if (existing) return existing;
 
     const createdMs = Date.now();
     const id = `inq_${Math.random().toString(36).slice(2, 10)}`;
-    const pass1Delay = this.passesConfig['1']?.delayMs || 0;
 
     const calculatedPriority = this._calculatePriority({
       source,
       tags,
       entropy,
+      gapScore: score,
       explicitPriority: priority
     });
 
+    const template = pipelines.getPipeline(
+      this.passesConfig,
+      this.pipelinesConfig,
+      pipelines.selectPipeline(this.pipelinesConfig, { pipeline, source, tags, priority: calculatedPriority })
+    );
+    const firstPass = template.passNumbers[0];
+    const firstDelay = template.passes[String(firstPass)]?.delayMs || 0;
+
     const inquiry = {
       id,
       question,
       source: source || 'agent_end',
       entropy: Number.isFinite(entropy) ? entropy : 0,
+      gapScore: Number.isFinite(score) ? score : null,
       context: context || '',
+      origin: origin || null,
       priority: calculatedPriority,
-      passes: [
-        {
-          number: 1,
-          scheduled: iso(createdMs + pass1Delay),
-          completed: null,
-          output: null
-        },
-        {
-          number: 2,
-          scheduled: null,
-          completed: null,
-          output: null
-        },
-        {
-          number: 3,
-          scheduled: null,
-          completed: null,
-          output: null
-        }
-      ],
+      pipeline: template.name,
+      synthesisPass: template.synthesisPass,
+      passes: template.passNumbers.map(number => ({
+        number,
+        scheduled: number === firstPass ? iso(createdMs + firstDelay) : null,
+        completed: null,
+        output: null
+      })),
       tags: tags || [],
       status: 'in_progress',
       created: iso(createdMs),
@@ -121,32 +233,45 @@ class InquiryStore {
     };
 
     this.state.inquiries.push(inquiry);
-    this.persist();
+    this.persist(inquiry);
     return inquiry;
   }
 
   /**
-   * Get the next due pass, ordered by inquiry priority (desc) then scheduled time (asc).
-   * Returns highest-priority pending pass first.
+   * Get the next due pass. Passes past the aging max-wait come first (oldest
+   * first), then by effective priority (desc), then scheduled time (asc).
+   * `minPriority` skips inquiries below that base priority (budget deferral).
    */
-  getDuePass(nowMs = Date.now(), forceRun = false) {
+  getDuePass(nowMs = Date.now(), forceRun = false, { minPriority = null } = {}) {
     const eligible = [];
+    const dueIds = this.backend.queryDueIds(nowMs, forceRun);
+    const candidates = dueIds ? this._byId(dueIds) : this.state.inquiries;
 
-    for (const inquiry of this.state.inquiries) {
+    for (const inquiry of candidates) {
       if (inquiry.status !== 'in_progress') continue;
+      if (minPriority !== null && (inquiry.priority || 0) < minPriority) continue;
       for (const p of inquiry.passes) {
         if (!p.scheduled || p.completed) continue;
+        // Backoff after a failed attempt applies even to forced runs
+        if (p.retryAt && Date.parse(p.retryAt) > nowMs) continue;
         if (forceRun || Date.parse(p.scheduled) <= nowMs) {
-          eligible.push({ inquiry, passNumber: p.number, scheduled: Date.parse(p.scheduled) });
+          eligible.push({
+            inquiry,
+            passNumber: p.number,
+            scheduled: Date.parse(p.scheduled),
+            effective: this.getEffectivePriority(inquiry, nowMs)
+          });
         }
       }
     }
 
     if (eligible.length === 0) return null;
 
-    // Sort: highest priority first, then earliest scheduled (FIFO fallback)
+    // Sort: max-wait guarantee, then highest effective priority, then earliest scheduled (FIFO fallback)
     eligible.sort((a, b) => {
-      const priDiff = (b.inquiry.priority || 0) - (a.inquiry.priority || 0);
+      if (a.effective.overdue !== b.effective.overdue) return a.effective.overdue ? -1 : 1;
+      if (a.effective.overdue) return a.scheduled - b.scheduled;
+      const priDiff = b.effective.priority - a.effective.priority;
       if (priDiff !== 0) return priDiff;
       return a.scheduled - b.scheduled;
     });
@@ -154,27 +279,240 @@ class InquiryStore {
     return { inquiry: eligible[0].inquiry, passNumber: eligible[0].passNumber };
   }
 
-  completePass(inquiryId, passNumber, output) {
+  /**
+   * Record a pass's output. `details` (structured synthesis fields etc.)
+   * are stored on the pass alongside it.
+   */
+  completePass(inquiryId, passNumber, output, details = {}) {
     const inquiry = this.state.inquiries.find(i => i.id === inquiryId);
     if (!inquiry) return null;
 
     const pass = inquiry.passes.find(p => p.number === passNumber);
     if (!pass) return null;
 
+    Object.assign(pass, details);
     pass.completed = new Date().toISOString();
     pass.output = output;
+    delete pass.retryAt;
+
+    // Paused or cancelled while the pass was running: keep the output, but
+    // don't schedule onward (resume takes care of that) or complete the inquiry.
+    if (inquiry.status !== 'in_progress') {
+      this.persist(inquiry);
+      return inquiry;
+    }
 
-    const nextPassNumber = passNumber + 1;
-    const nextPass = inquiry.passes.find(p => p.number === nextPassNumber);
+    // Next pass in the inquiry's own pipeline (pass numbers need not be contiguous)
+    const nextPass = inquiry.passes
+      .filter(p => p.number > passNumber && !p.completed)
+      .sort((a, b) => a.number - b.number)[0];
     if (nextPass) {
-      const delayMs = this.passesConfig[String(nextPassNumber)]?.delayMs || 0;
+      const delayMs = this.getPassConfig(inquiry, nextPass.number).delayMs || 0;
       nextPass.scheduled = new Date(Date.now() + delayMs).toISOString();
     } else {
       inquiry.status = 'completed';
       inquiry.completed = new Date().toISOString();
     }
 
-    this.persist();
+    this.persist(inquiry);
+    return inquiry;
+  }
+
+  /**
+   * Move an inquiry to a new lifecycle status, recording who changed it and why.
+   * Returns { inquiry } on success or { error } if the inquiry is unknown or
+   * the transition isn't allowed from its current status.
+   */
+  setStatus(inquiryId, status, { by, reason, from } = {}) {
+    const inquiry = this.state.inquiries.find(i => i.id === inquiryId);
+    if (!inquiry) return { error: 'inquiry_not_found' };
+
+    // `from` narrows the allowed source statuses (e.g. resume only from paused)
+    const allowedFrom = (TRANSITIONS[status] || []).filter(st => !from || from.includes(st));
+    if (!TRANSITIONS[status]) return { error: `unsupported_status:${status}` };
+    if (!allowedFrom.includes(inquiry.status)) {
+      const verb = status === 'in_progress' && from?.includes('failed') ? 'retry' : STATUS_VERBS[status];
+      return { error: `cannot_${verb}_from_${inquiry.status}` };
+    }
+
+    const now = new Date().toISOString();
+    const change = { from: inquiry.status, to: status, by: by || 'unknown', reason: reason || null, at: now };
+    inquiry.statusHistory = inquiry.statusHistory || [];
+    inquiry.statusHistory.push(change);
+    inquiry.status = status;
+
+    if (status === 'in_progress' && change.from === 'failed') {
+      // Manual retry of a dead-lettered inquiry: fresh attempt budget, due now
+      delete inquiry.failed;
+      for (const p of inquiry.passes) {
+        if (p.completed || !p.attempts) continue;
+        p.attempts = 0;
+        delete p.retryAt;
+        p.scheduled = now;
+      }
+    }
+
+    if (status === 'in_progress') {
+      // Resuming: if a pass finished while paused, schedule the one after it now
+      const next = inquiry.passes
+        .filter(p => !p.completed)
+        .sort((a, b) => a.number - b.number)[0];
+      if (!next) {
+        inquiry.status = 'completed';
+        inquiry.completed = now;
+      } else if (!next.scheduled) {
+        next.scheduled = now;
+      }
+    } else if (status === 'cancelled' || status === 'abandoned' || status === 'low_quality') {
+      inquiry.ended = now;
+    }
+
+    this.persist(inquiry);
+    return { inquiry };
+  }
+
+  /**
+   * Record a failed pass attempt. Reschedules the pass with exponential
+   * backoff, or moves the inquiry to the terminal `failed` status once
+   * `retryConfig.maxAttempts` is reached.
+   */
+  failPass(inquiryId, passNumber, error, retryConfig = {}) {
+    const inquiry = this.state.inquiries.find(i => i.id === inquiryId);
+    if (!inquiry) return null;
+
+    const pass = inquiry.passes.find(p => p.number === passNumber);
+    if (!pass) return null;
+
+    const nowMs = Date.now();
+    pass.attempts = (pass.attempts || 0) + 1;
+    pass.lastError = {
+      message: String(error?.message || error || 'unknown error').slice(0, 500),
+      at: iso(nowMs)
+    };
+
+    const maxAttempts = retryConfig.maxAttempts ?? 4;
+    if (pass.attempts >= maxAttempts) {
+      delete pass.retryAt;
+      if (inquiry.status === 'in_progress') {
+        inquiry.status = 'failed';
+        inquiry.failed = iso(nowMs);
+      }
+    } else {
+      const base = retryConfig.baseDelayMs ?? 300000;
+      const max = retryConfig.maxDelayMs ?? 21600000;
+      const delayMs = Math.min(max, base * Math.pow(2, pass.attempts - 1));
+      // Only retryAt gates the retry: `scheduled` keeps the original due
+      // time, so the pass keeps aging towards maxWaitMs while it backs off
+      pass.retryAt = iso(nowMs + delayMs);
+    }
+
+    this.persist(inquiry);
+    return inquiry;
+  }
+
+  /**
+   * Store a quality-gate evaluation on the inquiry: the latest scores at the
+   * top level of `quality`, every evaluation in `quality.evaluations`.
+   */
+  recordEvaluation(inquiryId, evaluation) {
+    const inquiry = this.state.inquiries.find(i => i.id === inquiryId);
+    if (!inquiry) return null;
+
+    const evaluations = [...(inquiry.quality?.evaluations || []), evaluation];
+    const { at, ...latest } = evaluation;
+    inquiry.quality = { ...latest, evaluated: at, evaluations };
+    this.persist(inquiry);
+    return inquiry;
+  }
+
+  /**
+   * The quality gate turned a pass's output down: keep it with the critique
+   * in `pass.rejected` (the re-run prompt shows the latest) and make the
+   * pass due again now.
+   */
+  rejectPass(inquiryId, passNumber, output, evaluation) {
+    const inquiry = this.state.inquiries.find(i => i.id === inquiryId);
+    const pass = inquiry?.passes.find(p => p.number === passNumber);
+    if (!pass) return null;
+
+    pass.rejected = pass.rejected || [];
+    pass.rejected.push({ output, score: evaluation.score, critique: evaluation.critique, at: evaluation.at });
+    pass.scheduled = new Date().toISOString();
+    return this.recordEvaluation(inquiryId, evaluation);
+  }
+
+  markLowQuality(inquiryId, evaluation) {
+    return this.setStatus(inquiryId, 'low_quality', {
+      by: 'quality-gate',
+      reason: `score ${evaluation.score} below threshold`
+    });
+  }
+
+  /**
+   * Put a failed inquiry back in the queue with a fresh attempt budget.
+   */
+  retryInquiry(inquiryId, meta) {
+    return this.setStatus(inquiryId, 'in_progress', { ...meta, from: ['failed'] });
+  }
+
+  pauseInquiry(inquiryId, meta) {
+    return this.setStatus(inquiryId, 'paused', meta);
+  }
+
+  resumeInquiry(inquiryId, meta) {
+    return this.setStatus(inquiryId, 'in_progress', { ...meta, from: ['paused'] });
+  }
+
+  cancelInquiry(inquiryId, meta) {
+    return this.setStatus(inquiryId, 'cancelled', meta);
+  }
+
+  abandonInquiry(inquiryId, meta) {
+    return this.setStatus(inquiryId, 'abandoned', meta);
+  }
+
+  /**
+   * Inquiries a new question should be checked against for near-duplicates:
+   * everything still open, plus completions within `recentCompletedMs`.
+   */
+  getDedupCandidates(recentCompletedMs = 7 * 24 * 3600000, nowMs = Date.now()) {
+    return this.state.inquiries.filter(i =>
+      OPEN_STATUSES.has(i.status) ||
+      (i.status === 'completed' && Date.parse(i.completed) >= nowMs - recentCompletedMs)
+    );
+  }
+
+  /**
+   * Fold a near-duplicate into an existing inquiry instead of creating a new
+   * one: its source joins `sources`, its context is appended, and the target's
+   * priority is raised if the duplicate would have ranked higher.
+   */
+  mergeInquiry(targetId, { question, source, context, entropy, priority, tags, score }, { similarity, method } = {}) {
+    const inquiry = this.state.inquiries.find(i => i.id === targetId);
+    if (!inquiry) return null;
+
+    const src = source || 'agent_end';
+    inquiry.sources = inquiry.sources || [inquiry.source];
+    if (!inquiry.sources.includes(src)) inquiry.sources.push(src);
+
+    if (context && context !== question && !(inquiry.context || '').includes(context)) {
+      const merged = `${inquiry.context || ''}\n\n---\n[merged from ${src}]\n${context}`.trim();
+      inquiry.context = merged.length > 4000 ? merged.slice(-4000) : merged;
+    }
+
+    const incomingPriority = this._calculatePriority({ source, tags, entropy, gapScore: score, explicitPriority: priority });
+    if (incomingPriority > (inquiry.priority || 0)) inquiry.priority = incomingPriority;
+
+    inquiry.merged = inquiry.merged || [];
+    inquiry.merged.push({
+      question,
+      source: src,
+      similarity: Number.isFinite(similarity) ? Math.round(similarity * 1000) / 1000 : null,
+      method: method || null,
+      at: new Date().toISOString()
+    });
+
+    this.persist(inquiry);
     return inquiry;
   }
 
@@ -186,7 +524,7 @@ class InquiryStore {
     const inquiry = this.state.inquiries.find(i => i.id === inquiryId);
     if (!inquiry) return false;
     inquiry.persisted = true;
-    this.persist();
+    this.persist(inquiry);
     return true;
   }
 }
@@ -0,0 +1,344 @@
+/**
+ * Language packs for gap extraction.
+ *
+ * A pack holds everything the extractor needs for one language: the gap
+ * patterns ("I wonder ...", "ich frage mich ..."), conversational filters
+ * ("would you like ...") and document-noise patterns, plus the inquiry
+ * patterns a bare question has to match and the stopwords used to detect
+ * the language of a message. `hedgePatterns` / `hedgeFilterPatterns` are a
+ * separate set for the agent's own uncertainty ("I'm not certain how ..."),
+ * used only by the opt-in agent hedging mode.
+ *
+ * English, German, Spanish and French ship built in. User packs come from
+ * `extraction.languages.packs` (keyed by code) or `<code>.json` files in
+ * `extraction.languages.dir`; patterns there are regex source strings. A user
+ * pack with a built-in code extends that pack unless it sets `"replace": true`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PATTERN_KINDS = [
+  'gapPatterns', 'filterPatterns', 'documentNoisePatterns', 'inquiryPatterns', 'hedgePatterns', 'hedgeFilterPatterns'
+];
+// Matched with exec() in a loop, so compiled with the g flag
+const GLOBAL_KINDS = ['gapPatterns', 'hedgePatterns'];
+
+const URL_NOISE = /(?:www\.|https?:\/\/)/i;
+
+const BUILTIN = {
+  en: {
+    name: 'English',
+    stopwords: ['the', 'and', 'is', 'are', 'to', 'of', 'in', 'that', 'it', 'you', 'i', 'what', 'how', 'why',
+      'with', 'this', 'do', 'does', 'not', 'be', 'for', 'on', 'have', 'was', 'can', 'would', 'about', 'wonder'],
+    gapPatterns: [
+      /I wonder\s+(.{15,}?)(?:\.|$)/gi,
+      /I'm curious\s+(?:about\s+)?(.{15,}?)(?:\.|$)/gi,
+      /I don't (?:fully )?understand\s+(.{15,}?)(?:\.|$)/gi,
+      /I (?:need|want) to (?:learn|know|explore|understand)\s+(.{15,}?)(?:\.|$)/gi,
+      /I'm not sure (?:about |whether |if |how |why )(.{15,}?)(?:\.|$)/gi,
+      /(?:how|why|what|when|where) (?:does|do|did|is|are|was|were|would|could|should|can|might) [^?\n]{10,}\?/gi
+    ],
+    filterPatterns: [
+      /^(?:would you|do you|can you|should I|shall I|could I|want me to|let me)/i,
+      /^(?:is that|does that|are you|how about|what if I)/i,
+      /^(?:ready|okay|alright|sure|got it|understood)/i,
+      // Rhetorical / marketing / document noise
+      /^(?:those|these|that|what about those|ever notice|imagine|picture this)/i,
+      /^(?:isn't it|aren't they|doesn't it|don't they|wouldn't it|won't they)/i,
+      /^(?:who doesn't|who wouldn't|who hasn't)/i,
+      /^(?:sound familiar|ring a bell|know the feeling)/i
+    ],
+    documentNoisePatterns: [
+      /(?:chapter|section|page|figure|table)\s+\d/i,
+      /(?:©|copyright|all rights reserved|terms of service|privacy policy)/i,
+      /(?:click here|learn more|sign up|subscribe|download now|get started)/i,
+      URL_NOISE
+    ],
+    hedgePatterns: [
+      /I['’]m not (?:entirely |completely |quite |100% )?(?:sure|certain|confident) (?:about |whether |if |how |why |what |when |where |which |that )(.{15,}?)(?:\.|$)/gi,
+      /I['’]m (?:unsure|uncertain) (?:about |whether |if |how |why |what |when )(.{15,}?)(?:\.|$)/gi,
+      /I (?:believe|think|suspect),? (?:though|but) I (?:haven['’]t|have not) (?:verified|checked|confirmed|tested)(?: (?:this|that|it))?,?\s+(?:that\s+)?(.{15,}?)(?:\.|$)/gi,
+      /I (?:haven['’]t|have not) (?:verified|checked|confirmed|tested) (?:whether |if |how |that )(.{15,}?)(?:\.|$)/gi,
+      /I don['’]t (?:actually |really )?know (?:whether |if |how |why |what |when |where |which )(.{15,}?)(?:\.|$)/gi,
+      /I (?:may|might|could) be wrong(?: about this| here| on this)?,? but (.{15,}?)(?:\.|$)/gi,
+      /it['’]s (?:not clear|unclear) to me (?:whether |if |how |why |what |when )(.{15,}?)(?:\.|$)/gi
+    ],
+    hedgeFilterPatterns: [
+      // Uncertainty about the user, not the subject
+      /\b(?:what|whether|if|how|which) you (?:mean|meant|want|wanted|need|prefer|'d like|would like|are asking|['’]re asking|had in mind)/i,
+      /\b(?:this|that|it) (?:helps|answers|is what you)/i,
+      /\bI (?:follow|understood|understand you|have access|am able to)\b/i,
+      /\bI can (?:see|access|open|read|help)\b/i
+    ],
+    inquiryPatterns: [
+      /(?:how|why|what|where|when|who|which)\s+(?:does|do|did|is|are|was|were|would|could|should|can|might|will|has|have|had)/i,
+      /(?:I|we|you)\s+(?:wonder|don't|need|want|should|could)/i
+    ]
+  },
+
+  de: {
+    name: 'Deutsch',
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'ein', 'eine', 'zu', 'mit', 'wie', 'warum',
+      'was', 'den', 'dem', 'auf', 'für', 'sich', 'es', 'du', 'wir', 'auch', 'noch', 'aber', 'oder', 'kann', 'frage',
+      'im', 'von', 'bei', 'nach', 'vor', 'ob', 'dass', 'wenn', 'hat', 'wer', 'sind', 'mich', 'mir', 'dieser', 'diese'],
+    markers: /[äöüß]/gi,
+    gapPatterns: [
+      /ich frage mich,?\s+(.{15,}?)(?:\.|$)/gi,
+      /ich (?:muss|will) (?:lernen|wissen|verstehen|erfahren)\s+(.{15,}?)(?:\.|$)/gi,
+      /ich bin mir (?:nicht )?(?:sicher|klar|bewusst)(?:,? ob | wie | warum | was )(.{10,}?)(?:\.|$)/gi,
+      /ich verstehe (?:nicht |kaum )?(.{15,}?)(?:\.|$)/gi,
+      /wie (?:funktioniert|geht|kann|soll|musst) [^?\n]{10,}\?/gi,
+      /warum [^?\n]{10,}\?/gi,
+      /was (?:bedeutet|ist|heißt|macht) [^?\n]{10,}\?/gi,
+      /keine ahnung (?:wie|warum|was|wo|wann) .{10,}/gi
+    ],
+    filterPatterns: [
+      /^(?:kannst du|könntest du|willst du|möchtest du|soll ich|darf ich|lass mich|magst du)/i,
+      /^(?:okay|alles klar|gut|verstanden|passt|fertig)/i,
+      /^(?:nicht wahr|oder etwa|stell dir vor|wer kennt das nicht|kennst du das)/i
+    ],
+    documentNoisePatterns: [
+      /(?:kapitel|abschnitt|seite|abbildung|tabelle)\s+\d/i,
+      /(?:©|alle rechte vorbehalten|nutzungsbedingungen|datenschutzerklärung)/i,
+      /(?:hier klicken|mehr erfahren|jetzt anmelden|abonnieren|jetzt herunterladen)/i,
+      URL_NOISE
+    ],
+    hedgePatterns: [
+      /ich bin mir nicht (?:ganz |völlig |hundertprozentig )?sicher,? (?:ob|wie|warum|was|wann|wo|dass) (.{15,}?)(?:\.|$)/gi,
+      /ich habe (?:noch )?nicht (?:überprüft|geprüft|verifiziert|getestet),? (?:ob|wie|dass) (.{15,}?)(?:\.|$)/gi,
+      /ich weiß (?:ehrlich gesagt )?nicht (?:genau )?,?(?:ob|wie|warum|was|wann|wo) (.{15,}?)(?:\.|$)/gi,
+      /ich (?:glaube|vermute|denke),? (?:habe es aber|aber ich habe es) nicht (?:überprüft|geprüft|verifiziert),?\s+(?:dass\s+)?(.{15,}?)(?:\.|$)/gi
+    ],
+    hedgeFilterPatterns: [
+      /\b(?:was|ob|wie|welche[rsnm]?) (?:du|sie) (?:meinst|meinen|willst|wollen|möchtest|möchten|brauchst|brauchen)/i,
+      /\b(?:das|es) (?:hilft|beantwortet)/i
+    ],
+    inquiryPatterns: [
+      /(?:wie|warum|wieso|weshalb|was|wo|wann|wer|welche[rsnm]?)\s+(?:ist|sind|war|waren|wird|werden|kann|können|soll|sollte|muss|hat|haben|funktioniert|bedeutet)/i,
+      /ich (?:frage mich|weiß nicht|muss|will)/i
+    ]
+  },
+
+  es: {
+    name: 'Español',
+    stopwords: ['el', 'la', 'los', 'las', 'que', 'de', 'y', 'es', 'en', 'un', 'una', 'por', 'para', 'con', 'no',
+      'se', 'lo', 'cómo', 'qué', 'pero', 'está', 'son', 'mi', 'yo', 'del', 'me', 'pregunto', 'cuál'],
+    markers: /[¿¡ñ]/gi,
+    gapPatterns: [
+      /me pregunto\s+(.{15,}?)(?:\.|$)/gi,
+      /tengo curiosidad\s+(?:por|sobre|de)?\s*(.{15,}?)(?:\.|$)/gi,
+      /no (?:entiendo|comprendo)(?: bien)?\s+(.{15,}?)(?:\.|$)/gi,
+      /(?:necesito|quiero) (?:aprender|saber|entender|explorar)\s+(.{15,}?)(?:\.|$)/gi,
+      /no estoy segur[oa] (?:de |si |sobre |c[oó]mo |por qu[eé] )(.{10,}?)(?:\.|$)/gi,
+      /¿?(?:c[oó]mo|por qu[eé]|qu[eé]|cu[aá]ndo|d[oó]nde) (?:funciona|puede|pueden|debe|deber[ií]a|es|son|est[aá]|hace|significa) [^?\n]{10,}\?/gi
+    ],
+    filterPatterns: [
+      /^¿?(?:puedes|podr[ií]as|quieres|te parece|debo|deber[ií]a yo|me dejas|d[eé]jame)/i,
+      /^¿?(?:vale|de acuerdo|listo|entendido|claro|perfecto)/i,
+      /^¿?(?:verdad|no es as[ií]|a que no|imagina|te suena)/i
+    ],
+    documentNoisePatterns: [
+      /(?:cap[ií]tulo|secci[oó]n|p[aá]gina|figura|tabla)\s+\d/i,
+      /(?:©|todos los derechos reservados|t[eé]rminos de servicio|pol[ií]tica de privacidad)/i,
+      /(?:haz clic|m[aá]s informaci[oó]n|suscr[ií]bete|reg[ií]strate|descarga ahora)/i,
+      URL_NOISE
+    ],
+    hedgePatterns: [
+      /no estoy (?:del todo |completamente |muy )?segur[oa] (?:de |de que |si |c[oó]mo |por qu[eé] |qu[eé] |cu[aá]ndo )(.{15,}?)(?:\.|$)/gi,
+      /no (?:lo )?he (?:verificado|comprobado|confirmado|probado),? (?:si |c[oó]mo |que )(.{15,}?)(?:\.|$)/gi,
+      /(?:realmente )?no s[eé] (?:si |c[oó]mo |por qu[eé] |qu[eé] |cu[aá]ndo |d[oó]nde )(.{15,}?)(?:\.|$)/gi,
+      /(?:creo|supongo|sospecho),? aunque no lo he (?:verificado|comprobado),?\s+(?:que\s+)?(.{15,}?)(?:\.|$)/gi
+    ],
+    hedgeFilterPatterns: [
+      /\b(?:qu[eé]|si|c[oó]mo|cu[aá]l) (?:quieres|quiere|necesitas|necesita|prefieres|prefiere|te refieres|se refiere)/i,
+      /\b(?:esto|eso) (?:ayuda|responde)/i
+    ],
+    inquiryPatterns: [
+      /(?:c[oó]mo|por qu[eé]|qu[eé]|cu[aá]ndo|d[oó]nde|qui[eé]n|cu[aá]l)\s+(?:es|son|era|fue|puede|pueden|podr[ií]a|debe|deber[ií]a|funciona|hace|significa|est[aá]n?|ha|han|tiene|tienen)/i,
+      // The opening ¿ marks a real question even without a verb right after the question word
+      /^¿(?:c[oó]mo|por qu[eé]|qu[eé]|cu[aá]ndo|d[oó]nde|qui[eé]n(?:es)?|cu[aá]l(?:es)?)\s/i,
+      /(?:me pregunto|no s[eé]|necesito|quiero saber)/i
+    ]
+  },
+
+  fr: {
+    name: 'Français',
+    stopwords: ['le', 'la', 'les', 'et', 'est', 'un', 'une', 'des', 'que', 'qui', 'je', 'ne', 'pas', 'pour',
+      'dans', 'du', 'au', 'avec', 'ce', 'cette', 'sont', 'comment', 'pourquoi', 'mais', 'nous', 'vous', 'demande'],
+    markers: /[çœèêàù]/gi,
+    gapPatterns: [
+      /je me demande\s+(.{15,}?)(?:\.|$)/gi,
+      /je suis curieu(?:x|se)\s+(?:de |d['’]|sur )?(.{15,}?)(?:\.|$)/gi,
+      /je ne (?:comprends|saisis) pas(?: bien)?\s+(.{15,}?)(?:\.|$)/gi,
+      /(?:j['’]ai besoin d['’]|je veux )(?:apprendre|savoir|comprendre|explorer)\s+(.{15,}?)(?:\.|$)/gi,
+      /je ne suis pas s[uû]re? (?:de |si |comment |pourquoi )(.{10,}?)(?:\.|$)/gi,
+      /(?:comment|pourquoi|quand|o[uù]) (?:est|sont|fonctionne|fonctionnent|peut|peuvent|doit|doivent|devrait|faut-il|fait|a|ont|se) [^?\n]{10,}\?/gi,
+      /qu['’]est-ce qu(?:e|['’])[^?\n]{10,}\?/gi
+    ],
+    filterPatterns: [
+      /^(?:peux-tu|pouvez-vous|pourrais-tu|veux-tu|voulez-vous|dois-je|est-ce que tu veux|laisse-moi)/i,
+      /^(?:d['’]accord|ok|entendu|compris|bien s[uû]r|parfait|pr[eê]t)/i,
+      /^(?:n['’]est-ce pas|imagine|imaginez|[çc]a te dit quelque chose)/i
+    ],
+    documentNoisePatterns: [
+      /(?:chapitre|section|page|figure|tableau)\s+\d/i,
+      /(?:©|tous droits r[eé]serv[eé]s|conditions d['’]utilisation|politique de confidentialit[eé])/i,
+      /(?:cliquez ici|en savoir plus|inscrivez-vous|abonnez-vous|t[eé]l[eé]chargez)/i,
+      URL_NOISE
+    ],
+    hedgePatterns: [
+      /je ne suis pas (?:tout à fait |complètement |entièrement )?(?:s[uû]r|certain)e? (?:de |que |si |comment |pourquoi |quand )(.{15,}?)(?:\.|$)/gi,
+      /je n['’]ai pas (?:vérifié|confirmé|testé),? (?:si |que |comment )(.{15,}?)(?:\.|$)/gi,
+      /je ne sais pas (?:vraiment )?(?:si |comment |pourquoi |quand |o[uù] )(.{15,}?)(?:\.|$)/gi,
+      /je (?:crois|pense|suppose),? sans l['’]avoir (?:vérifié|confirmé),?\s+(?:que\s+|qu['’])?(.{15,}?)(?:\.|$)/gi
+    ],
+    hedgeFilterPatterns: [
+      /\b(?:ce que|si|comment) (?:tu|vous) (?:veux|veut|voulez|voulais|vouliez|entends|entendez|dis|dites|as besoin|avez besoin)/i,
+      /\b(?:cela|ça|ceci) (?:aide|répond)/i
+    ],
+    inquiryPatterns: [
+      /(?:comment|pourquoi|qu['’]est-ce|quand|o[uù]|qui|quel(?:le)?s?)\s+(?:est|sont|[ée]tait|peut|peuvent|pourrait|doit|devrait|fonctionne|fait|signifie|a|ont|se)/i,
+      /je (?:me demande|ne sais pas|dois|veux savoir)/i
+    ]
+  }
+};
+
+function invalidPack(code, message) {
+  const err = new Error(`Language pack "${code}": ${message}`);
+  err.code = 'LANGUAGE_PACK_INVALID';
+  return err;
+}
+
+function toRegExp(code, pattern, flags) {
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(String(pattern), flags);
+  } catch (err) {
+    throw invalidPack(code, err.message);
+  }
+}
+
+/**
+ * Normalize a pack spec (built-in or user JSON) into RegExp arrays. Gap
+ * and hedge patterns are global (the extractor iterates their matches); the
+ * rest are single tests.
+ */
+function compilePack(code, spec) {
+  if (!spec || typeof spec !== 'object') throw invalidPack(code, 'must be an object');
+  const pack = {
+    code,
+    name: spec.name || code,
+    stopwords: new Set((spec.stopwords || []).map(w => String(w).toLowerCase())),
+    markers: spec.markers ? toRegExp(code, spec.markers, 'giu') : null
+  };
+  for (const kind of PATTERN_KINDS) {
+    if (spec[kind] !== undefined && !Array.isArray(spec[kind])) throw invalidPack(code, `${kind} must be an array`);
+    pack[kind] = (spec[kind] || []).map(p => toRegExp(code, p, GLOBAL_KINDS.includes(kind) ? 'gi' : 'i'));
+  }
+  if (pack.gapPatterns.length === 0 && pack.inquiryPatterns.length === 0) {
+    throw invalidPack(code, 'needs gapPatterns or inquiryPatterns');
+  }
+  return pack;
+}
+
+/**
+ * A user pack on top of a built-in one: pattern lists and stopwords are
+ * appended, scalar fields replaced.
+ */
+function extendPack(base, spec) {
+  const merged = { ...base, ...spec, stopwords: [...base.stopwords, ...(spec.stopwords || [])] };
+  for (const kind of PATTERN_KINDS) merged[kind] = [...(base[kind] || []), ...(spec[kind] || [])];
+  return merged;
+}
+
+function resolveDir(dir) {
+  if (!dir) return null;
+  return dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+function readPackFiles(dir, errors) {
+  const specs = {};
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') errors.push(err);
+    return specs;
+  }
+  for (const file of files.sort()) {
+    try {
+      specs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      errors.push(invalidPack(path.basename(file, '.json'), err.message));
+    }
+  }
+  return specs;
+}
+
+/**
+ * Load the packs for `extraction.languages`. Returns { packs, errors } —
+ * packs keyed by code; a user pack that fails to compile is left out (or
+ * the built-in it extended used as-is) and its error collected, so one bad
+ * pack doesn't stop extraction.
+ */
+function loadPacks(languagesConfig = {}) {
+  const errors = [];
+  const enabled = languagesConfig.enabled || Object.keys(BUILTIN);
+  const userSpecs = {
+    ...(languagesConfig.dir ? readPackFiles(resolveDir(languagesConfig.dir), errors) : {}),
+    ...(languagesConfig.packs || {})
+  };
+
+  const specs = {};
+  for (const code of enabled) {
+    if (BUILTIN[code]) specs[code] = BUILTIN[code];
+  }
+  for (const [code, spec] of Object.entries(userSpecs)) {
+    specs[code] = BUILTIN[code] && !spec?.replace && spec && typeof spec === 'object'
+      ? extendPack(BUILTIN[code], spec)
+      : spec;
+  }
+
+  const packs = {};
+  for (const [code, spec] of Object.entries(specs)) {
+    try {
+      packs[code] = compilePack(code, spec);
+    } catch (err) {
+      errors.push(err);
+      // A broken extension of a built-in pack still leaves the built-in
+      if (BUILTIN[code] && specs[code] !== BUILTIN[code]) packs[code] = compilePack(code, BUILTIN[code]);
+    }
+  }
+  return { packs, errors };
+}
+
+/**
+ * Guess the language of `text`: stopword hits plus marker characters (ß, ñ,
+ * ç...). Falls back to `defaultCode` when nothing scores at least 2 — short
+ * or mixed messages are better handled by the default pack than a coin flip.
+ */
+function detectLanguage(text, packs, defaultCode = 'en') {
+  const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  let best = null;
+  let bestScore = 1;
+  for (const pack of Object.values(packs)) {
+    let score = 0;
+    for (const w of words) if (pack.stopwords.has(w)) score++;
+    if (pack.markers) score += (String(text).match(pack.markers) || []).length;
+    if (score > bestScore) {
+      best = pack.code;
+      bestScore = score;
+    }
+  }
+  if (best) return best;
+  return packs[defaultCode] ? defaultCode : Object.keys(packs)[0] || null;
+}
+
+module.exports = {
+  BUILTIN,
+  compilePack,
+  loadPacks,
+  detectLanguage
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJsonOrReset, writeJsonAtomic, deferredWriter } = require('./atomic');
+
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 5000;
+const WRITE_DELAY_MS = 2000;
+
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+function normalizeQuestion(question) {
+  return String(question || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Per-agent cache of LLM results that only depend on the question: filter
+ * classifier verdicts ("classifier") and inquiry tags ("tagging"). Keyed by
+ * kind, model and normalized question text, bounded by `cache.ttlMs` and
+ * `cache.maxEntries` (oldest dropped first), persisted to
+ * data/agents/<id>/llm-cache.json. Writes are batched (see flush()); an
+ * unreadable file is moved aside and the cache starts empty
+ * (`recoveredFrom: 'reset'`). Hit/miss counters count since startup.
+ * Prompt or model changes aren't detected — invalidate() after them.
+ */
+class LLMCache {
+  constructor(baseDir, agentId, cacheConfig) {
+    this.agentId = agentId || 'main';
+    this.cacheConfig = cacheConfig || {};
+    this.agentDir = path.join(baseDir, 'agents', this.agentId);
+    this.filePath = path.join(this.agentDir, 'llm-cache.json');
+    ensureDir(this.agentDir);
+    const loaded = loadJsonOrReset(this.filePath, { entries: {} }, d => !!d && !!d.entries && typeof d.entries === 'object');
+    this.state = loaded.data;
+    this.recoveredFrom = loaded.recoveredFrom;
+    this.counters = {}; // kind → { hits, misses }
+    this.writer = deferredWriter(() => this.persist(), WRITE_DELAY_MS);
+  }
+
+  /**
+   * The model a task's resolved LLM options would ask first.
+   */
+  static modelKey(llmOptions = {}) {
+    return llmOptions.model || llmOptions.providers?.[0]?.model || 'default';
+  }
+
+  get enabled() {
+    return this.cacheConfig.enabled !== false;
+  }
+
+  persist() {
+    ensureDir(this.agentDir);
+    writeJsonAtomic(this.filePath, this.state, { backup: false });
+  }
+
+  /**
+   * Write out entries set since the last write.
+   */
+  flush() {
+    this.writer.flush();
+  }
+
+  _key(kind, model, question) {
+    return `${kind}|${model || 'default'}|${normalizeQuestion(question)}`;
+  }
+
+  _count(kind, outcome) {
+    this.counters[kind] = this.counters[kind] || { hits: 0, misses: 0 };
+    this.counters[kind][outcome]++;
+  }
+
+  /**
+   * The cached value, or undefined on a miss (expired entries miss).
+   */
+  get(kind, model, question, nowMs = Date.now()) {
+    if (!this.enabled) return undefined;
+    const entry = this.state.entries[this._key(kind, model, question)];
+    if (!entry || entry.expiresAt <= nowMs) {
+      this._count(kind, 'misses');
+      return undefined;
+    }
+    this._count(kind, 'hits');
+    return entry.value;
+  }
+
+  set(kind, model, question, value, nowMs = Date.now()) {
+    if (!this.enabled) return;
+    const ttlMs = this.cacheConfig.ttlMs ?? DEFAULT_TTL_MS;
+    this.state.entries[this._key(kind, model, question)] = {
+      kind,
+      model: model || 'default',
+      value,
+      createdAt: nowMs,
+      expiresAt: nowMs + ttlMs
+    };
+    this._prune(nowMs);
+    this.writer.schedule();
+  }
+
+  _prune(nowMs) {
+    const entries = this.state.entries;
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expiresAt <= nowMs) delete entries[key];
+    }
+    const maxEntries = this.cacheConfig.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    const keys = Object.keys(entries);
+    if (keys.length > maxEntries) {
+      keys.sort((a, b) => entries[a].createdAt - entries[b].createdAt)
+        .slice(0, keys.length - maxEntries)
+        .forEach(key => delete entries[key]);
+    }
+  }
+
+  /**
+   * Drop entries, optionally only one kind and/or model. Returns the count.
+   */
+  invalidate({ kind, model } = {}) {
+    let removed = 0;
+    for (const [key, entry] of Object.entries(this.state.entries)) {
+      if ((!kind || entry.kind === kind) && (!model || entry.model === model)) {
+        delete this.state.entries[key];
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.writer.schedule();
+      this.writer.flush();
+    }
+    return removed;
+  }
+
+  stats(nowMs = Date.now()) {
+    const entries = {};
+    for (const entry of Object.values(this.state.entries)) {
+      if (entry.expiresAt > nowMs) entries[entry.kind] = (entries[entry.kind] || 0) + 1;
+    }
+    const total = { hits: 0, misses: 0 };
+    const byKind = {};
+    for (const [kind, c] of Object.entries(this.counters)) {
+      total.hits += c.hits;
+      total.misses += c.misses;
+      byKind[kind] = { ...c };
+    }
+    return { enabled: this.enabled, entries, ...total, byKind };
+  }
+}
+
+module.exports = LLMCache;
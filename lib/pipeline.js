@@ -0,0 +1,98 @@
+/**
+ * Pipeline templates for inquiry passes.
+ *
+ * A pipeline is a named set of passes (keyed by pass number, same shape as
+ * config.passes) plus a designated synthesis pass whose output becomes the
+ * growth vector. `config.passes` is always available as the "default"
+ * pipeline; additional templates live under `config.pipelines.templates`
+ * and are selected per inquiry by `config.pipelines.rules`.
+ */
+
+const DEFAULT_PIPELINE = 'default';
+
+function passNumbers(passes) {
+  return Object.keys(passes || {})
+    .map(Number)
+    .filter(n => Number.isInteger(n) && n > 0)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Resolve a pipeline template by name. Unknown names (e.g. a template
+ * removed from config after inquiries were created) fall back to default.
+ * Returns { name, passes, passNumbers, synthesisPass }.
+ */
+function getPipeline(passesConfig, pipelinesConfig, name) {
+  const templates = pipelinesConfig?.templates || {};
+  const template = name && name !== DEFAULT_PIPELINE ? templates[name] : null;
+  const resolvedName = template ? name : DEFAULT_PIPELINE;
+  const passes = template ? template.passes || {} : passesConfig || {};
+
+  let numbers = passNumbers(passes);
+  if (numbers.length === 0) numbers = [1, 2, 3];
+
+  const last = numbers[numbers.length - 1];
+  const requested = Number(template?.synthesisPass);
+  const synthesisPass = numbers.includes(requested) ? requested : last;
+
+  return { name: resolvedName, passes, passNumbers: numbers, synthesisPass };
+}
+
+function ruleMatches(rule, { source, tags, priority }) {
+  if (!rule || typeof rule !== 'object') return false;
+  const src = (source || '').toLowerCase();
+  const tagList = Array.isArray(tags) ? tags.map(t => String(t).toLowerCase()) : [];
+
+  if (rule.source && !src.includes(String(rule.source).toLowerCase())) return false;
+  if (Array.isArray(rule.tags) && rule.tags.length > 0 &&
+      !rule.tags.some(t => tagList.includes(String(t).toLowerCase()))) {
+    return false;
+  }
+  if (typeof rule.minPriority === 'number' && !(priority >= rule.minPriority)) return false;
+  if (typeof rule.maxPriority === 'number' && !(priority <= rule.maxPriority)) return false;
+  return true;
+}
+
+/**
+ * Pick a pipeline name for a new inquiry. An explicit name wins; otherwise
+ * the first matching rule, otherwise `pipelines.default`, otherwise "default".
+ */
+function selectPipeline(pipelinesConfig, { pipeline, source, tags, priority }) {
+  const templates = pipelinesConfig?.templates || {};
+  if (pipeline && (pipeline === DEFAULT_PIPELINE || templates[pipeline])) return pipeline;
+
+  for (const rule of pipelinesConfig?.rules || []) {
+    if (templates[rule.pipeline] && ruleMatches(rule, { source, tags, priority })) {
+      return rule.pipeline;
+    }
+  }
+
+  const fallback = pipelinesConfig?.defaultPipeline;
+  return fallback && templates[fallback] ? fallback : DEFAULT_PIPELINE;
+}
+
+/**
+ * Config for one pass of an inquiry's pipeline ({ delayMs, prompt, ... }).
+ */
+function getPassConfig(passesConfig, pipelinesConfig, inquiry, passNumber) {
+  const pipeline = getPipeline(passesConfig, pipelinesConfig, inquiry?.pipeline);
+  return pipeline.passes[String(passNumber)] || {};
+}
+
+/**
+ * Synthesis pass number for an inquiry. Inquiries record it at creation;
+ * older records without one use their last pass slot.
+ */
+function getSynthesisPass(inquiry) {
+  if (Number.isInteger(inquiry?.synthesisPass)) return inquiry.synthesisPass;
+  const numbers = (inquiry?.passes || []).map(p => p.number);
+  return numbers.length > 0 ? Math.max(...numbers) : 3;
+}
+
+module.exports = {
+  DEFAULT_PIPELINE,
+  getPipeline,
+  selectPipeline,
+  getPassConfig,
+  getSynthesisPass
+};
@@ -0,0 +1,174 @@
+/**
+ * Prompt templates.
+ *
+ * Each prompt the plugin sends ("pass", "tagging", "classifier",
+ * "extraction", "critique") has a built-in template below. A `<name>.md` file in the prompts directory
+ * (default: <agent workspace>/contemplation/prompts) replaces it, and
+ * `<name>.<variant>.md` files are named variants chosen by weighted random
+ * split from `prompts.variants[name]`, e.g. { "default": 70, "socratic": 30 }.
+ *
+ * Placeholders are `{{name}}`; unknown ones are left as-is so typos show up
+ * in the prompt instead of silently disappearing.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_VARIANT = 'default';
+
+const BUILTIN = {
+  pass: [
+    'You are running a contemplative pass over a single inquiry.',
+    '{{passHeader}}',
+    'Instruction: {{instruction}}',
+    'Inquiry: {{question}}',
+    'Source: {{source}}',
+    'Context:\n{{context}}',
+    '{{related}}',
+    'Prior passes:\n{{priorPasses}}',
+    '{{critique}}',
+    '{{outputInstructions}}'
+  ].join('\n\n'),
+
+  tagging: [
+    'Given this question an AI agent is contemplating, generate 2-3 short topic tags (1-2 words each).',
+    'Return ONLY a JSON array of lowercase strings, nothing else.',
+    '',
+    'Question: "{{question}}"',
+    '',
+    'Tags:'
+  ].join('\n'),
+
+  classifier: [
+    'Is this a genuine knowledge gap or contemplative question worth thinking about over time,',
+    'or is it noise in one of these categories?',
+    '',
+    '{{categories}}',
+    '',
+    'Question: "{{question}}"',
+    '',
+    'Reply with ONLY valid JSON: {"isNoise": true/false, "category": "{{categoryNames}}", "confidence": 0.0-1.0}'
+  ].join('\n'),
+
+  extraction: [
+    'You are reading the end of a conversation an AI agent just had, looking for knowledge gaps worth contemplating over time:',
+    'questions that came up and were not resolved, whether asked outright or only implied (e.g. "that still doesn\'t explain the 3am spikes").',
+    '',
+    'Conversation:',
+    '{{conversation}}',
+    '',
+    'Ignore requests addressed to the agent, small talk, rhetorical questions, and anything the conversation already answered.',
+    '',
+    'Reply with ONLY a JSON array, at most {{maxGaps}} items, empty if there are none:',
+    '[{"question": "the gap as a self-contained question", "significance": 0.0-1.0, "quote": "the words from the conversation that show the gap"}]'
+  ].join('\n'),
+
+  critique: [
+    'You are reviewing the final synthesis of a contemplative inquiry before it is saved as a lasting insight.',
+    '',
+    'Inquiry: {{question}}',
+    '',
+    'Earlier passes:',
+    '{{priorPasses}}',
+    '',
+    'Synthesis under review:',
+    '{{insight}}',
+    '',
+    'Score each from 0.0 to 1.0:',
+    '- specificity: concrete and particular, not hedged or generic',
+    '- novelty: adds something beyond the earlier passes instead of restating them or the question',
+    '- actionability: says what to do differently, or when the insight applies',
+    '',
+    'Reply with ONLY valid JSON: {"specificity": 0.0-1.0, "novelty": 0.0-1.0, "actionability": 0.0-1.0, "critique": "what would make it better, in one or two sentences"}'
+  ].join('\n')
+};
+
+/**
+ * Directory templates are read from: `prompts.dir` if set (absolute or
+ * ~-relative), otherwise <workspace>/contemplation/prompts.
+ */
+function resolveDir(promptsConfig, workspacePath) {
+  const configured = promptsConfig?.dir;
+  if (configured) {
+    return configured.startsWith('~') ? path.join(os.homedir(), configured.slice(1)) : configured;
+  }
+  const workspace = workspacePath || path.join(os.homedir(), '.openclaw', 'workspace');
+  return path.join(workspace, 'contemplation', 'prompts');
+}
+
+function readTemplate(dir, name, variant) {
+  if (!dir) return null;
+  const file = variant === DEFAULT_VARIANT ? `${name}.md` : `${name}.${variant}.md`;
+  try {
+    return fs.readFileSync(path.join(dir, file), 'utf8').trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Weighted random pick from { variant: weight }. Returns "default" when no
+ * variants are configured.
+ */
+function pickVariant(weights, random = Math.random) {
+  const entries = Object.entries(weights || {}).filter(([, w]) => Number(w) > 0);
+  if (entries.length === 0) return DEFAULT_VARIANT;
+  const total = entries.reduce((sum, [, w]) => sum + Number(w), 0);
+  let roll = random() * total;
+  for (const [variant, weight] of entries) {
+    roll -= Number(weight);
+    if (roll < 0) return variant;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Resolve the template for `name`. `variant` pins a variant (e.g. the one an
+ * inquiry's earlier passes used); otherwise one is drawn from the configured
+ * weights. A variant without a file falls back to the default template.
+ * Returns { template, variant }.
+ */
+function resolveTemplate(name, { dir, promptsConfig, variant, random } = {}) {
+  const weights = promptsConfig?.variants?.[name];
+  const chosen = variant && (variant === DEFAULT_VARIANT || weights?.[variant] !== undefined)
+    ? variant
+    : pickVariant(weights, random);
+
+  const text = readTemplate(dir, name, chosen);
+  if (text) return { template: text, variant: chosen };
+
+  return {
+    template: readTemplate(dir, name, DEFAULT_VARIANT) || BUILTIN[name],
+    variant: DEFAULT_VARIANT
+  };
+}
+
+function hasPlaceholder(template, name) {
+  return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(template);
+}
+
+/**
+ * Remove an optional block's placeholder line (and the blank lines before
+ * it), for blocks that have nothing to show.
+ */
+function dropPlaceholder(template, name) {
+  return template.replace(new RegExp(`\\n*[ \\t]*\\{\\{\\s*${name}\\s*\\}\\}[ \\t]*(?=\\n|$)`), '');
+}
+
+function render(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    vars[key] === undefined || vars[key] === null ? match : String(vars[key])
+  ));
+}
+
+module.exports = {
+  BUILTIN,
+  DEFAULT_VARIANT,
+  resolveDir,
+  pickVariant,
+  resolveTemplate,
+  hasPlaceholder,
+  dropPlaceholder,
+  render
+};
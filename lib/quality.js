@@ -0,0 +1,114 @@
+/**
+ * Quality gate for the synthesis pass.
+ *
+ * A reviewer call scores the synthesis for specificity, novelty relative to
+ * the earlier passes, and actionability (each 0-1). Below
+ * `quality.threshold` the pass is re-run with the critique attached, up to
+ * `quality.maxReruns` times; after that the inquiry goes to `low_quality`
+ * and is never written out as a growth vector.
+ */
+
+const prompts = require('./prompts');
+
+const DIMENSIONS = ['specificity', 'novelty', 'actionability'];
+
+/**
+ * The text under review: the structured insight with its implications when
+ * available, otherwise the raw pass output.
+ */
+function describeSynthesis(output, structured) {
+  if (!structured) return output;
+  return [
+    structured.insight,
+    structured.implications?.length ? `Implications: ${structured.implications.join('; ')}` : null,
+    structured.appliesWhen ? `Applies when: ${structured.appliesWhen}` : null
+  ].filter(Boolean).join('\n');
+}
+
+function buildEvaluationPrompt({ inquiry, passNumber, output, structured, template, agentId }) {
+  const prior = (inquiry.passes || [])
+    .filter(p => p.number < passNumber && p.completed && p.output)
+    .map(p => `Pass ${p.number} output:\n${p.output}`)
+    .join('\n\n');
+
+  return prompts.render(template || prompts.BUILTIN.critique, {
+    question: inquiry.question,
+    priorPasses: prior || '(none)',
+    insight: describeSynthesis(output, structured),
+    agentId: agentId || 'main'
+  });
+}
+
+function clamp01(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : null;
+}
+
+/**
+ * Parse the reviewer's JSON. Returns null unless every dimension is a number.
+ */
+function parseEvaluation(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+
+  const scores = {};
+  for (const dim of DIMENSIONS) {
+    scores[dim] = clamp01(parsed[dim]);
+    if (scores[dim] === null) return null;
+  }
+  return { ...scores, critique: typeof parsed.critique === 'string' ? parsed.critique.trim() : '' };
+}
+
+/**
+ * Weighted mean of the dimension scores (`quality.weights`, equal by default).
+ */
+function overallScore(scores, weights = {}) {
+  let total = 0;
+  let weightSum = 0;
+  for (const dim of DIMENSIONS) {
+    const w = Number(weights[dim] ?? 1);
+    total += w * scores[dim];
+    weightSum += w;
+  }
+  return weightSum > 0 ? Math.round((total / weightSum) * 1000) / 1000 : 0;
+}
+
+/**
+ * Score a synthesis pass result. `call(prompt)` returns the reviewer's text.
+ * Returns { specificity, novelty, actionability, score, passed, critique, at },
+ * or null if the reviewer's answer can't be parsed.
+ */
+async function evaluate({ inquiry, passNumber, result, qualityConfig = {}, call, template, agentId }) {
+  const prompt = buildEvaluationPrompt({
+    inquiry,
+    passNumber,
+    output: result.output,
+    structured: result.structured,
+    template,
+    agentId
+  });
+  const parsed = parseEvaluation(await call(prompt));
+  if (!parsed) return null;
+
+  const score = overallScore(parsed, qualityConfig.weights);
+  return {
+    ...parsed,
+    score,
+    passed: score >= (qualityConfig.threshold ?? 0.6),
+    at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DIMENSIONS,
+  buildEvaluationPrompt,
+  parseEvaluation,
+  overallScore,
+  evaluate
+};
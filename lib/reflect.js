@@ -1,19 +1,75 @@
-function buildPrompt({ inquiry, passNumber, passPrompt }) {
+const pipelines = require('./pipeline');
+const synthesis = require('./synthesis');
+const fixtures = require('./fixtures');
+const prompts = require('./prompts');
+const retrieval = require('./retrieval');
+const executor = require('./executor');
+
+/**
+ * Block shown on a re-run after the quality gate rejected the previous
+ * synthesis (see lib/quality.js).
+ */
+function formatCritique(rejected) {
+  return [
+    `A reviewer rejected your previous answer for this pass (score ${rejected.score}):`,
+    rejected.critique || '(no critique given)',
+    '',
+    'Rejected answer:',
+    rejected.output,
+    '',
+    'Write a better answer that addresses the critique.'
+  ].join('\n');
+}
+
+/**
+ * Render the pass prompt. `template` is a pass template from lib/prompts.js
+ * (the built-in one when omitted). `related` (a retrieval block) and
+ * `rejected` (the last answer the quality gate turned down) are optional;
+ * their placeholder lines are dropped when absent.
+ */
+function buildPrompt({ inquiry, passNumber, passPrompt, structured, template, agentId, related, rejected }) {
   const prior = (inquiry.passes || [])
     .filter(p => p.number < passNumber && p.completed && p.output)
     .map(p => `Pass ${p.number} output:\n${p.output}`)
     .join('\n\n');
 
-  return [
-    'You are running a contemplative pass over a single inquiry.',
-    `Pass: ${passNumber}`,
-    `Instruction: ${passPrompt}`,
-    `Inquiry: ${inquiry.question}`,
-    `Source: ${inquiry.source}`,
-    `Context:\n${inquiry.context || '(none)'}`,
-    prior ? `Prior passes:\n${prior}` : 'Prior passes: (none)',
-    'Return concise but specific reflection text only.'
-  ].join('\n\n');
+  // Numbered by position, since a template's pass numbers may skip values
+  const numbers = (inquiry.passes || []).map(p => p.number).sort((a, b) => a - b);
+  const totalPasses = numbers.length;
+  const position = numbers.indexOf(passNumber) + 1;
+  const isSynthesis = passNumber === pipelines.getSynthesisPass(inquiry);
+  const outputInstructions = structured
+    ? synthesis.formatInstructions()
+    : 'Return concise but specific reflection text only.';
+  const critique = rejected ? formatCritique(rejected) : '';
+
+  let source = template || prompts.BUILTIN.pass;
+  if (!related) source = prompts.dropPlaceholder(source, 'related');
+  if (!critique) source = prompts.dropPlaceholder(source, 'critique');
+
+  const text = prompts.render(source, {
+    passHeader: position > 0 ? `Pass: ${position} of ${totalPasses}${isSynthesis ? ' (synthesis)' : ''}` : `Pass: ${passNumber}`,
+    passNumber,
+    totalPasses,
+    instruction: passPrompt,
+    question: inquiry.question,
+    source: inquiry.source,
+    context: inquiry.context || '(none)',
+    priorPasses: prior || '(none)',
+    tags: (inquiry.tags || []).join(', ') || '(none)',
+    pipeline: inquiry.pipeline || pipelines.DEFAULT_PIPELINE,
+    agentId: agentId || 'main',
+    related: related || '',
+    critique,
+    outputInstructions
+  });
+
+  // A re-run must see its critique, and the synthesis parser depends on the
+  // format instructions — keep both even when a custom template leaves them out
+  const extras = [];
+  if (critique && template && !prompts.hasPlaceholder(template, 'critique')) extras.push(critique);
+  if (structured && template && !prompts.hasPlaceholder(template, 'outputInstructions')) extras.push(outputInstructions);
+  return [text, ...extras].join('\n\n');
 }
 
 /**
@@ -22,7 +78,7 @@ function buildPrompt({ inquiry, passNumber, passPrompt }) {
  * - Everything else → OpenAI-compatible (works with Ollama /v1/, OpenRouter, Modal, etc.)
  */
 function detectFormat(endpoint) {
-  if (/\/api\/(generate|chat)\b/.test(endpoint)) return 'ollama';
+  if (/\/api\/(generate|chat|embed|embeddings)\b/.test(endpoint)) return 'ollama';
   if (/anthropic\.com/.test(endpoint)) return 'anthropic';
   return 'openai';
 }
@@ -61,35 +117,92 @@ function parseEnvFile(filePath) {
 }
 
 /**
- * Call an LLM endpoint using the appropriate format.
- * Supports:
- *   - OpenAI-compatible: /v1/chat/completions (Ollama, OpenRouter, Modal, vLLM, etc.)
- *   - Ollama native: /api/generate (legacy backward compat)
+ * Resolve an API key. `env:NAME` reads process.env, then ~/.openclaw/.env
+ * (the gateway process often doesn't inherit the user's shell environment).
  */
-async function callLLM({ endpoint, model, prompt, temperature, maxTokens, timeoutMs, apiKey, format }) {
-  const resolvedFormat = format || detectFormat(endpoint);
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs || 45000);
-
-  // Resolve env: prefixed API keys
-  let resolvedApiKey = apiKey?.startsWith('env:')
-    ? process.env[apiKey.slice(4)] || null
-    : apiKey;
-
-  // Fallback: check ~/.openclaw/.env if not found in process.env
-  if (apiKey?.startsWith('env:') && !resolvedApiKey) {
-    const envVarName = apiKey.slice(4);
-    const dotEnv = parseEnvFile('~/.openclaw/.env');
-    resolvedApiKey = dotEnv[envVarName] || null;
-  }
+function resolveApiKey(apiKey) {
+  if (!apiKey?.startsWith('env:')) return apiKey || null;
+  const envVarName = apiKey.slice(4);
+  return process.env[envVarName] || parseEnvFile('~/.openclaw/.env')[envVarName] || null;
+}
 
+function buildHeaders(format, resolvedApiKey) {
   const headers = { 'Content-Type': 'application/json' };
-  if (resolvedFormat === 'anthropic') {
+  if (format === 'anthropic') {
     if (resolvedApiKey) headers['x-api-key'] = resolvedApiKey;
     headers['anthropic-version'] = '2023-06-01';
   } else if (resolvedApiKey) {
     headers['Authorization'] = `Bearer ${resolvedApiKey}`;
   }
+  return headers;
+}
+
+/**
+ * Response text for each wire format.
+ */
+function extractText(format, payload) {
+  if (format === 'anthropic') {
+    // Anthropic returns { content: [{ type: "text", text: "..." }] }
+    const text = payload?.content?.find(b => b.type === 'text')?.text?.trim();
+    if (text) return text;
+    throw new Error('Anthropic response missing content text');
+  } else if (format === 'ollama') {
+    // Ollama native returns { response: "..." }
+    if (typeof payload?.response === 'string' && payload.response.trim()) {
+      return payload.response.trim();
+    }
+    throw new Error('Ollama response missing "response" text');
+  } else {
+    // OpenAI-compatible returns { choices: [{ message: { content: "..." } }] }
+    const msg = payload?.choices?.[0]?.message;
+    // reasoning fallback: GLM returns output in reasoning field when content is empty
+    const text = (typeof msg?.content === 'string' && msg.content.trim()) ? msg.content.trim()
+               : (typeof msg?.reasoning === 'string' && msg.reasoning.trim()) ? msg.reasoning.trim()
+               : null;
+    if (text) return text;
+    throw new Error('LLM response missing choices[0].message.content');
+  }
+}
+
+/**
+ * Token usage from a response payload, normalized to { inputTokens, outputTokens }.
+ * OpenAI-compatible: usage.prompt_tokens / completion_tokens
+ * Anthropic: usage.input_tokens / output_tokens
+ * Ollama native: prompt_eval_count / eval_count
+ */
+function extractUsage(format, payload) {
+  const u = payload?.usage || {};
+  let inputTokens;
+  let outputTokens;
+  if (format === 'anthropic') {
+    inputTokens = u.input_tokens;
+    outputTokens = u.output_tokens;
+  } else if (format === 'ollama') {
+    inputTokens = payload?.prompt_eval_count;
+    outputTokens = payload?.eval_count;
+  } else {
+    inputTokens = u.prompt_tokens;
+    outputTokens = u.completion_tokens;
+  }
+  return {
+    inputTokens: Number.isFinite(inputTokens) ? inputTokens : 0,
+    outputTokens: Number.isFinite(outputTokens) ? outputTokens : 0
+  };
+}
+
+/**
+ * Call a single LLM endpoint using the appropriate format.
+ * Supports:
+ *   - OpenAI-compatible: /v1/chat/completions (Ollama, OpenRouter, Modal, vLLM, etc.)
+ *   - Ollama native: /api/generate (legacy backward compat)
+ * Errors worth failing over on (timeout, network, 5xx, 429) carry `retryable: true`.
+ */
+async function sendRequest({ endpoint, model, prompt, temperature, maxTokens, timeoutMs, apiKey, format }) {
+  const resolvedFormat = format || detectFormat(endpoint);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs || 45000);
+
+  const headers = buildHeaders(resolvedFormat, resolveApiKey(apiKey));
 
   try {
     let body;
@@ -124,66 +237,322 @@ async function callLLM({ endpoint, model, prompt, temperature, maxTokens, timeou
     }
     }
 
+    let res;
+    try {
+      res = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal
+      });
+    } catch (err) {
+      const wrapped = new Error(err.name === 'AbortError'
+        ? `LLM request timed out after ${timeoutMs || 45000}ms`
+        : `LLM request failed: ${err.message}`);
+      wrapped.retryable = true;
+      throw wrapped;
+    }
+
+    if (!res.ok) {
+      const errText = await res.text().catch(() => '');
+      const err = new Error(`LLM request failed (${res.status}): ${errText.substring(0, 200)}`);
+      err.status = res.status;
+      err.retryable = res.status >= 500 || res.status === 429;
+      throw err;
+    }
+
+    const payload = await res.json();
+    return { text: extractText(resolvedFormat, payload), usage: extractUsage(resolvedFormat, payload) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send one request through the shared executor (call slot + the provider's
+ * RPM limit, see lib/executor.js), or answer it from fixtures.
+ */
+async function requestLLM(opts) {
+  const format = opts.format || detectFormat(opts.endpoint);
+  const fixtureMode = fixtures.current().mode;
+  const fixtureRequest = { format, model: opts.model, prompt: opts.prompt, temperature: opts.temperature, maxTokens: opts.maxTokens };
+  if (fixtureMode === 'replay') return fixtures.replay(fixtureRequest);
+
+  const result = await executor.shared.call(opts.name || opts.endpoint, () => sendRequest({ ...opts, format }));
+  if (fixtureMode === 'record') fixtures.record(fixtureRequest, result);
+  return result;
+}
+
+// ── Provider fallback chain ───────────────────────────────────────────────
+
+// Circuit breaker state per provider, shared by every caller in the process
+const breakers = new Map();
+
+/**
+ * Expand `providers` (ordered list of { name, endpoint, format, model, apiKey,
+ * timeoutMs }) against the top-level call options. A provider with its own
+ * endpoint doesn't inherit the top-level format or apiKey.
+ */
+function resolveProviders(opts) {
+  const list = Array.isArray(opts.providers) && opts.providers.length > 0
+    ? opts.providers
+    : [{}];
+  return list.map(p => {
+    const ownEndpoint = !!p.endpoint;
+    return {
+      name: p.name || p.endpoint || opts.endpoint,
+      endpoint: p.endpoint || opts.endpoint,
+      model: p.model ?? opts.model,
+      format: ownEndpoint ? p.format || null : p.format ?? opts.format,
+      apiKey: ownEndpoint ? p.apiKey || null : p.apiKey ?? opts.apiKey,
+      timeoutMs: p.timeoutMs ?? opts.timeoutMs
+    };
+  });
+}
+
+function breakerFor(name) {
+  if (!breakers.has(name)) breakers.set(name, { failures: 0, openUntil: 0, lastError: null });
+  return breakers.get(name);
+}
+
+/**
+ * Call the first healthy provider, failing over to the next on timeout,
+ * network error, 5xx or 429. Other errors (bad request, auth) are thrown
+ * straight away — another provider won't fix them. After
+ * `circuitBreaker.failureThreshold` consecutive retryable failures a provider
+ * is skipped for `circuitBreaker.cooldownMs`.
+ * Returns { text, usage, provider }.
+ */
+async function callLLMDetailed(opts) {
+  const providers = resolveProviders(opts);
+  const threshold = opts.circuitBreaker?.failureThreshold ?? 3;
+  const cooldownMs = opts.circuitBreaker?.cooldownMs ?? 60000;
+  const errors = [];
+
+  for (const provider of providers) {
+    const breaker = breakerFor(provider.name);
+    if (providers.length > 1 && breaker.openUntil > Date.now()) {
+      errors.push(`${provider.name}: circuit open`);
+      continue;
+    }
+
+    try {
+      const { text, usage } = await requestLLM({ ...opts, ...provider });
+      breaker.failures = 0;
+      breaker.openUntil = 0;
+      return { text, usage, provider: { name: provider.name, endpoint: provider.endpoint, model: provider.model } };
+    } catch (err) {
+      if (!err.retryable) throw err;
+      breaker.failures++;
+      breaker.lastError = err.message;
+      if (breaker.failures >= threshold) breaker.openUntil = Date.now() + cooldownMs;
+      errors.push(`${provider.name}: ${err.message}`);
+    }
+  }
+
+  const err = new Error(`All LLM providers failed — ${errors.join(' | ')}`);
+  err.retryable = true;
+  throw err;
+}
+
+/**
+ * Call an LLM and return its text. Accepts the single-endpoint options
+ * (endpoint, model, format, apiKey, ...) and optionally `providers` /
+ * `circuitBreaker` for a fallback chain.
+ */
+async function callLLM(opts) {
+  return (await callLLMDetailed(opts)).text;
+}
+
+/**
+ * Build callLLM options for one task from `config.llm` plus task-level
+ * overrides (a pass config, `config.tagging` or `config.filter`).
+ * Every key inherits from `config.llm` when the override leaves it unset.
+ *   - `endpoint` replaces the provider chain with that single endpoint
+ *     (its format/apiKey come from the override, not from llm)
+ *   - `provider` picks named entries from `llm.providers`
+ *   - `providers` replaces the chain outright
+ *   - `model` applies to every provider in the resulting chain
+ */
+function resolveLLMOptions(llm = {}, overrides = {}, defaultEndpoint = 'http://localhost:8080/v1/chat/completions') {
+  const o = overrides || {};
+  let endpoint = llm.endpoint || defaultEndpoint;
+  let format = llm.format || null;
+  let apiKey = llm.apiKey || null;
+  let providers = llm.providers;
+
+  if (o.endpoint) {
+    endpoint = o.endpoint;
+    format = o.format || null;
+    apiKey = o.apiKey || null;
+    providers = undefined;
+  }
+  if (Array.isArray(o.providers) && o.providers.length > 0) {
+    providers = o.providers;
+  } else if (o.provider) {
+    const names = Array.isArray(o.provider) ? o.provider : [o.provider];
+    const named = (llm.providers || []).filter(p => names.includes(p.name));
+    if (named.length > 0) providers = named;
+  }
+  if (o.model && Array.isArray(providers)) {
+    providers = providers.map(p => ({ ...p, model: o.model }));
+  }
+
+  return {
+    endpoint,
+    model: o.model ?? llm.model,
+    format,
+    apiKey,
+    temperature: o.temperature ?? llm.temperature,
+    maxTokens: o.maxTokens ?? llm.maxTokens,
+    timeoutMs: o.timeoutMs ?? llm.timeoutMs,
+    providers,
+    circuitBreaker: llm.circuitBreaker
+  };
+}
+
+/**
+ * Circuit breaker snapshot for monitoring.
+ */
+function getProviderHealth() {
+  const now = Date.now();
+  return [...breakers.entries()].map(([name, b]) => ({
+    name,
+    failures: b.failures,
+    open: b.openUntil > now,
+    openUntil: b.openUntil > now ? new Date(b.openUntil).toISOString() : null,
+    lastError: b.lastError
+  }));
+}
+
+async function sendEmbedRequest({ endpoint, model, input, timeoutMs, apiKey, format }) {
+  const resolvedFormat = format || detectFormat(endpoint);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs || 15000);
+  const legacyOllama = resolvedFormat === 'ollama' && /\/api\/embeddings\b/.test(endpoint);
+
+  try {
     const res = await fetch(endpoint, {
       method: 'POST',
-      headers,
-      body,
+      headers: buildHeaders(resolvedFormat, resolveApiKey(apiKey)),
+      body: JSON.stringify(legacyOllama ? { model, prompt: input } : { model, input }),
       signal: controller.signal
     });
 
     if (!res.ok) {
       const errText = await res.text().catch(() => '');
-      throw new Error(`LLM request failed (${res.status}): ${errText.substring(0, 200)}`);
+      throw new Error(`Embedding request failed (${res.status}): ${errText.substring(0, 200)}`);
     }
 
     const payload = await res.json();
-
-    if (resolvedFormat === 'anthropic') {
-      // Anthropic returns { content: [{ type: "text", text: "..." }] }
-      const text = payload?.content?.find(b => b.type === 'text')?.text?.trim();
-      if (text) return text;
-      throw new Error('Anthropic response missing content text');
-    } else if (resolvedFormat === 'ollama') {
-      // Ollama native returns { response: "..." }
-      if (typeof payload?.response === 'string' && payload.response.trim()) {
-        return payload.response.trim();
-      }
-      throw new Error('Ollama response missing "response" text');
-    } else {
-      // OpenAI-compatible returns { choices: [{ message: { content: "..." } }] }
-      const msg = payload?.choices?.[0]?.message;
-      // reasoning fallback: GLM returns output in reasoning field when content is empty
-      const text = (typeof msg?.content === 'string' && msg.content.trim()) ? msg.content.trim()
-                 : (typeof msg?.reasoning === 'string' && msg.reasoning.trim()) ? msg.reasoning.trim()
-                 : null;
-      if (text) return text;
-      throw new Error('LLM response missing choices[0].message.content');
-    }
+    const vector = payload?.data?.[0]?.embedding || payload?.embeddings?.[0] || payload?.embedding;
+    if (Array.isArray(vector) && vector.length > 0) return vector;
+    throw new Error('Embedding response missing vector');
   } finally {
     clearTimeout(timer);
   }
 }
 
-async function runPass({ inquiry, passNumber, config }) {
-  const passPrompt = config.passes?.[String(passNumber)]?.prompt || `Pass ${passNumber}`;
-  const prompt = buildPrompt({ inquiry, passNumber, passPrompt });
+/**
+ * Get an embedding vector for `input` from a local or remote embedding endpoint.
+ * Goes through the shared executor like LLM requests, so embeddings share
+ * the call slots and count against the endpoint's RPM limit (`name` or the
+ * endpoint URL as the provider key).
+ * Supports:
+ *   - OpenAI-compatible: /v1/embeddings → { data: [{ embedding }] }
+ *   - Ollama native: /api/embed → { embeddings: [[...]] }, /api/embeddings → { embedding }
+ */
+async function embed(opts) {
+  return executor.shared.call(opts.name || opts.endpoint, () => sendEmbedRequest(opts));
+}
+
+/**
+ * Run one pass. Returns { output, ...details } where details are extra
+ * fields recorded on the pass. The synthesis pass asks for structured JSON
+ * (see lib/synthesis.js): invalid output is retried with a repair prompt up
+ * to `synthesis.repairAttempts` times, then falls back to the raw text.
+ */
+async function runPass({ inquiry, passNumber, config, agentId, promptsDir, related }) {
+  const passConfig = pipelines.getPassConfig(config.passes, config.pipelines, inquiry, passNumber);
+  const passPrompt = passConfig.prompt || `Pass ${passNumber}`;
+  const structured = config.synthesis?.structured !== false
+    && passNumber === pipelines.getSynthesisPass(inquiry);
 
-  return callLLM({
-    endpoint: config.llm?.endpoint || 'http://localhost:8080/v1/chat/completions',
-    model: config.llm?.model,
-    prompt,
-    temperature: config.llm?.temperature ?? 0.6,
-    maxTokens: config.llm?.maxTokens ?? 700,
-    timeoutMs: config.llm?.timeoutMs ?? 45000,
-    apiKey: config.llm?.apiKey || null,
-    format: config.llm?.format || null
+  // An inquiry keeps the prompt variant its first pass drew, so every pass
+  // of it (and its insight) is attributable to one variant
+  const { template, variant: promptVariant } = prompts.resolveTemplate('pass', {
+    dir: promptsDir ?? (config.prompts?.dir ? prompts.resolveDir(config.prompts) : null),
+    promptsConfig: config.prompts,
+    variant: (inquiry.passes || []).find(p => p.promptVariant)?.promptVariant
+  });
+  // Related past insights only count as retrieved if the template has room for them
+  const injected = related?.text && prompts.hasPlaceholder(template, 'related') ? related : null;
+  const rejected = (inquiry.passes || []).find(p => p.number === passNumber)?.rejected?.slice(-1)[0];
+  const prompt = buildPrompt({
+    inquiry, passNumber, passPrompt, structured, template, agentId, related: injected?.text, rejected
   });
+  const retrieved = injected ? injected.items.map(i => ({ id: i.id, score: i.score, method: i.method })) : undefined;
+  const cites = text => (injected ? retrieval.findCitations(text, injected.items) : undefined);
+
+  // Provider that served the most recent call, and token usage summed over
+  // all calls (including repairs), are recorded on the pass
+  let provider = null;
+  const usage = { inputTokens: 0, outputTokens: 0, calls: 0 };
+  const llmOptions = resolveLLMOptions(config.llm, passConfig);
+  const call = async text => {
+    const result = await callLLMDetailed({
+      ...llmOptions,
+      prompt: text,
+      temperature: llmOptions.temperature ?? 0.6,
+      maxTokens: llmOptions.maxTokens ?? 700,
+      timeoutMs: llmOptions.timeoutMs ?? 45000
+    });
+    provider = result.provider;
+    usage.inputTokens += result.usage.inputTokens;
+    usage.outputTokens += result.usage.outputTokens;
+    usage.calls++;
+    return result.text;
+  };
+
+  const raw = await call(prompt);
+  if (!structured) return { output: raw, provider, usage, promptVariant, retrieved, cited: cites(raw) };
+
+  let text = raw;
+  let errors = [];
+  let repairs = 0;
+  const repairAttempts = config.synthesis?.repairAttempts ?? 1;
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    if (attempt > 0) {
+      repairs = attempt;
+      try {
+        text = await call(synthesis.buildRepairPrompt(text, errors));
+      } catch (err) {
+        // The pass itself answered — a failed repair only costs the structure
+        errors = [...errors, `repair call failed: ${err.message}`];
+        break;
+      }
+    }
+    const parsed = synthesis.parse(text);
+    errors = parsed ? synthesis.validate(parsed) : ['response is not a JSON object'];
+    if (errors.length === 0) {
+      const value = synthesis.normalize(parsed);
+      return { output: value.insight, structured: value, repairs: attempt, provider, usage, promptVariant, retrieved, cited: cites(text) };
+    }
+  }
+
+  // Still invalid after repair — keep the prose so the inquiry isn't lost
+  return { output: raw, structured: null, structuredErrors: errors, repairs, provider, usage, promptVariant, retrieved, cited: cites(raw) };
 }
 
 module.exports = {
   runPass,
   buildPrompt,
   callLLM,
+  callLLMDetailed,
+  resolveLLMOptions,
+  getProviderHealth,
+  embed,
+  detectFormat,
   // Backward compat — callOllama now delegates to callLLM
   callOllama: callLLM
 };
@@ -0,0 +1,174 @@
+/**
+ * Retrieval of related past insights for pass prompts.
+ *
+ * Candidates are the agent's growth vectors plus completed inquiries that
+ * have none (yet). They are ranked by tag overlap combined with either
+ * embedding cosine (when an embedding endpoint is configured) or stemmed
+ * keyword overlap, and the best are packed into a prompt block under a
+ * token budget. With embeddings, only the `retrieval.maxEmbedCandidates`
+ * candidates ranking highest on keywords and tags are embedded and ranked.
+ * Each block entry carries its id so the model can cite it.
+ */
+
+const { tokenOverlap, cosine, topBy } = require('./similarity');
+const pipelines = require('./pipeline');
+
+const TAG_WEIGHT = 0.3;
+const DEFAULT_MAX_EMBED_CANDIDATES = 50;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function tagOverlap(a, b) {
+  const setA = new Set((a || []).map(t => String(t).toLowerCase()));
+  const setB = new Set((b || []).map(t => String(t).toLowerCase()));
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Build the candidate list: growth vectors first (tags borrowed from the
+ * inquiry they came from), then completed inquiries not yet written out.
+ */
+function collectCandidates({ inquiry, vectors = [], inquiries = [] }) {
+  const byId = new Map(inquiries.map(i => [i.id, i]));
+  const seen = new Set([inquiry.id]);
+  const candidates = [];
+
+  for (const v of vectors) {
+    if (!v?.insight || seen.has(v.inquiryId)) continue;
+    seen.add(v.inquiryId);
+    candidates.push({
+      id: v.id || `gv_${v.inquiryId}`,
+      question: v.question || '',
+      insight: v.insight,
+      tags: byId.get(v.inquiryId)?.tags || [],
+      completed: v.completed || null
+    });
+  }
+
+  for (const i of inquiries) {
+    if (i.status !== 'completed' || seen.has(i.id)) continue;
+    const synthesis = (i.passes || []).find(p => p.number === pipelines.getSynthesisPass(i));
+    const insight = synthesis?.structured?.insight || synthesis?.output;
+    if (!insight) continue;
+    seen.add(i.id);
+    candidates.push({ id: i.id, question: i.question, insight, tags: i.tags || [], completed: i.completed || null });
+  }
+
+  return candidates;
+}
+
+/**
+ * Rank candidates against an inquiry. Returns [{ ...candidate, score, method }]
+ * above the configured minimum score, best first.
+ * @param {object} opts
+ * @param {object} opts.inquiry - The inquiry the pass is for
+ * @param {object[]} opts.candidates - From collectCandidates()
+ * @param {object} opts.retrievalConfig - config.retrieval
+ * @param {function} [opts.embed] - reflect.embed
+ * @param {object} [opts.embedding] - { endpoint, model, apiKey, format, timeoutMs }
+ * @param {Map} [opts.embeddingCache] - candidate id → vector, reused across calls
+ */
+async function rankRelated({ inquiry, candidates, retrievalConfig = {}, embed, embedding, embeddingCache }) {
+  const pool = candidates
+    .slice()
+    .sort((a, b) => String(b.completed || '').localeCompare(String(a.completed || '')))
+    .slice(0, retrievalConfig.maxCandidates ?? 200);
+  if (pool.length === 0) return [];
+
+  const keywordSimilarity = c => Math.max(tokenOverlap(inquiry.question, c.question, 1), tokenOverlap(inquiry.question, c.insight, 1));
+  const combined = (c, similarity) => (1 - TAG_WEIGHT) * similarity + TAG_WEIGHT * tagOverlap(inquiry.tags, c.tags);
+
+  let ranked = pool;
+  let similarities = null;
+  let method = 'tokens';
+  if (embed && embedding?.endpoint) {
+    try {
+      const call = input => embed({
+        endpoint: embedding.endpoint,
+        model: embedding.model,
+        input,
+        timeoutMs: embedding.timeoutMs ?? 15000,
+        apiKey: embedding.apiKey || null,
+        format: embedding.format || null
+      });
+      const embedPool = topBy(
+        pool,
+        c => combined(c, keywordSimilarity(c)),
+        retrievalConfig.maxEmbedCandidates ?? DEFAULT_MAX_EMBED_CANDIDATES
+      );
+      const query = await call(inquiry.question);
+      similarities = [];
+      for (const c of embedPool) {
+        const key = `retrieval:${c.id}`;
+        let vector = embeddingCache?.get(key);
+        if (!vector) {
+          vector = await call(`${c.question}\n${c.insight}`);
+          embeddingCache?.set(key, vector);
+        }
+        similarities.push(cosine(query, vector));
+      }
+      ranked = embedPool;
+      method = 'embedding';
+    } catch {
+      similarities = null; // Embedder unavailable — fall back to keywords
+    }
+  }
+
+  const minScore = method === 'embedding'
+    ? retrievalConfig.embeddingMinScore ?? 0.55
+    : retrievalConfig.minScore ?? 0.2;
+
+  return ranked
+    .map((c, idx) => {
+      const score = combined(c, similarities ? similarities[idx] : keywordSimilarity(c));
+      return { ...c, score: Math.round(score * 1000) / 1000, method };
+    })
+    .filter(c => c.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pack ranked items into a prompt block within `tokenBudget`, at most
+ * `maxItems`. Items that don't fit are skipped (a shorter one further down
+ * may still fit). Returns { text, items } — text is '' when nothing fits.
+ */
+function buildContext(ranked, { tokenBudget = 600, maxItems = 5 } = {}) {
+  const header = 'Related past insights (cite an id in [brackets] if you draw on one):';
+  let remaining = tokenBudget - estimateTokens(header);
+  const lines = [];
+  const items = [];
+
+  for (const item of ranked) {
+    if (items.length >= maxItems) break;
+    const line = `[${item.id}] Q: ${item.question}\n  Insight: ${item.insight}`;
+    const cost = estimateTokens(line);
+    if (cost > remaining) continue;
+    remaining -= cost;
+    lines.push(line);
+    items.push(item);
+  }
+
+  if (items.length === 0) return { text: '', items };
+  return { text: [header, ...lines].join('\n'), items };
+}
+
+/**
+ * Ids of injected items that the pass output actually mentions.
+ */
+function findCitations(output, items) {
+  const text = String(output || '');
+  return (items || []).map(i => i.id).filter(id => text.includes(id));
+}
+
+module.exports = {
+  estimateTokens,
+  collectCandidates,
+  rankRelated,
+  buildContext,
+  findCitations
+};
@@ -0,0 +1,76 @@
+/**
+ * Text similarity helpers for inquiry deduplication.
+ *
+ * Token overlap is the always-available fallback: lowercase, drop stopwords,
+ * truncate each token to a 5-character stem (so "writes"/"writers" and
+ * "concurrent"/"concurrency" meet), then Dice coefficient over the stem sets.
+ * Cosine similarity is used when an embedding endpoint is configured.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'from',
+  'as', 'into', 'about', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'do', 'does', 'did',
+  'how', 'why', 'what', 'when', 'where', 'which', 'who', 'whom', 'whether', 'if', 'that', 'this',
+  'these', 'those', 'it', 'its', 'i', 'we', 'you', 'they', 'my', 'our', 'your', 'their', 'me',
+  'can', 'could', 'would', 'should', 'might', 'will', 'shall', 'may', 'must', 'has', 'have', 'had',
+  'not', 'no', 'so', 'than', 'then', 'there', 'here', 'any', 'some', 'such', 'more', 'most',
+  'implications', 'implication', 'mean', 'means', 'wonder', 'curious'
+]);
+
+const STEM_LENGTH = 5;
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t))
+    .map(t => t.slice(0, STEM_LENGTH));
+}
+
+/**
+ * Dice coefficient over stemmed token sets, 0..1.
+ * Returns 0 when either side has fewer than `minTokens` content tokens —
+ * very short questions match too easily to be merged on overlap alone.
+ */
+function tokenOverlap(a, b, minTokens = 3) {
+  const setA = new Set(tokenize(a));
+  const setB = new Set(tokenize(b));
+  if (setA.size < minTokens || setB.size < minTokens) return 0;
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return (2 * shared) / (setA.size + setB.size);
+}
+
+function cosine(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * The `max` items with the highest `score(item)`, in input order among
+ * ties. Used to cap how many candidates are sent to the embedder.
+ */
+function topBy(items, score, max) {
+  if (items.length <= max) return items;
+  return items
+    .map((item, idx) => ({ item, idx, score: score(item) }))
+    .sort((a, b) => b.score - a.score || a.idx - b.idx)
+    .slice(0, Math.max(0, max))
+    .map(e => e.item);
+}
+
+module.exports = {
+  tokenize,
+  tokenOverlap,
+  cosine,
+  topBy
+};
@@ -0,0 +1,318 @@
+/**
+ * Storage backends for InquiryStore.
+ *
+ * A backend persists inquiry records; InquiryStore keeps the working set in
+ * memory and tells the backend what changed. Interface:
+ *
+ *   load()                    → { inquiries, recoveredFrom }
+ *   save(state, changed?)     → persist; `changed` is the list of inquiries
+ *                               touched since the last save (all if omitted)
+ *   queryDueIds(nowMs, force) → ids with a runnable pass, or null if the
+ *                               backend has no index (caller scans memory)
+ *   queryIds({ status, tag, source }) → ids, or null if unsupported
+ *   saveGrowthVector(vector)  → optional mirror of written growth vectors
+ *   close()
+ *
+ * "json" keeps everything in data/agents/<id>/inquiries.json (default).
+ * "sqlite" uses data/agents/<id>/inquiries.db with indexed columns for due
+ * passes, status, tags and source. It needs node:sqlite (Node 22.5+) or the
+ * better-sqlite3 package, and migrates an existing inquiries.json on first open.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tryAcquireLock, loadJsonSafe, tryReadJson, writeJsonAtomic } = require('./atomic');
+
+const LOCK_RETRY_MS = 100;
+
+function isStoreShape(data) {
+  return !!data && Array.isArray(data.inquiries);
+}
+
+function fileMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Earliest time (ms) a pass could run next — its scheduled time, or its
+ * retryAt while backing off — or null. Indexed backends store this so
+ * due-pass lookups don't scan every inquiry.
+ */
+function nextScheduledMs(inquiry) {
+  let next = null;
+  for (const p of inquiry.passes || []) {
+    if (!p.scheduled || p.completed) continue;
+    const ms = Math.max(Date.parse(p.scheduled), p.retryAt ? Date.parse(p.retryAt) : -Infinity);
+    if (Number.isFinite(ms) && (next === null || ms < next)) next = ms;
+  }
+  return next;
+}
+
+/**
+ * Merge another writer's inquiries into `mine` in place: unknown ones are
+ * appended, and a shared one whose copy on disk has a later `updatedAt` is
+ * overwritten field by field, so references the store holds stay valid.
+ */
+function mergeInquiries(mine, theirs) {
+  const byId = new Map(mine.map(i => [i.id, i]));
+  for (const inquiry of theirs) {
+    const current = byId.get(inquiry.id);
+    if (!current) {
+      mine.push(inquiry);
+    } else if ((inquiry.updatedAt || '') > (current.updatedAt || '')) {
+      for (const key of Object.keys(current)) {
+        if (!(key in inquiry)) delete current[key];
+      }
+      Object.assign(current, inquiry);
+    }
+  }
+}
+
+// ── JSON file backend ─────────────────────────────────────────────────────
+
+class JsonStorage {
+  constructor(agentDir) {
+    this.filePath = path.join(agentDir, 'inquiries.json');
+    this.syncedMtime = null;
+    this.retryTimer = null;
+  }
+
+  load() {
+    // Throws on a corrupt file with no usable backup — never start empty over history
+    const loaded = loadJsonSafe(this.filePath, { inquiries: [] }, isStoreShape);
+    this.syncedMtime = fileMtime(this.filePath);
+    return { inquiries: loaded.data.inquiries, recoveredFrom: loaded.recoveredFrom };
+  }
+
+  /**
+   * Write state atomically under a cross-process lock. If another process
+   * rewrote the file since we last synced, its changes are merged in first
+   * instead of being clobbered: inquiries we don't know about are added, and
+   * shared ones keep whichever copy has the later `updatedAt`. While another
+   * process holds the lock the write is retried every LOCK_RETRY_MS; the
+   * in-memory state stays current meanwhile.
+   */
+  save(state) {
+    const release = tryAcquireLock(this.filePath);
+    if (!release) {
+      this._retry(state);
+      return;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    try {
+      const mtime = fileMtime(this.filePath);
+      if (mtime !== null && mtime !== this.syncedMtime) {
+        const onDisk = tryReadJson(this.filePath, isStoreShape);
+        if (onDisk.ok) mergeInquiries(state.inquiries, onDisk.data.inquiries);
+      }
+      writeJsonAtomic(this.filePath, state);
+      this.syncedMtime = fileMtime(this.filePath);
+    } finally {
+      release();
+    }
+  }
+
+  _retry(state) {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      try {
+        this.save(state);
+      } catch {
+        // Left for the next save — it writes the whole state anyway
+      }
+    }, LOCK_RETRY_MS);
+  }
+
+  queryDueIds() {
+    return null;
+  }
+
+  queryIds() {
+    return null;
+  }
+
+  close() {}
+}
+
+// ── SQLite backend ────────────────────────────────────────────────────────
+
+function openDatabase(dbPath) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(dbPath);
+  } catch {}
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(dbPath);
+  } catch {}
+  throw new Error('SQLite storage requires node:sqlite (Node 22.5+) or the better-sqlite3 package');
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS inquiries (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    priority REAL NOT NULL DEFAULT 0,
+    source TEXT,
+    next_due INTEGER,
+    created TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_inquiries_due ON inquiries (status, next_due);
+  CREATE INDEX IF NOT EXISTS idx_inquiries_source ON inquiries (source);
+  CREATE TABLE IF NOT EXISTS inquiry_tags (
+    inquiry_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (inquiry_id, tag)
+  );
+  CREATE INDEX IF NOT EXISTS idx_inquiry_tags_tag ON inquiry_tags (tag);
+  CREATE TABLE IF NOT EXISTS growth_vectors (
+    id TEXT PRIMARY KEY,
+    inquiry_id TEXT,
+    created TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_growth_vectors_inquiry ON growth_vectors (inquiry_id);
+`;
+
+class SqliteStorage {
+  constructor(agentDir) {
+    this.agentDir = agentDir;
+    this.dbPath = path.join(agentDir, 'inquiries.db');
+    this.jsonPath = path.join(agentDir, 'inquiries.json');
+    this.db = openDatabase(this.dbPath);
+    this.db.exec('PRAGMA journal_mode = WAL;');
+    this.db.exec(SCHEMA);
+
+    this.stmts = {
+      upsert: this.db.prepare(`
+        INSERT INTO inquiries (id, status, priority, source, next_due, created, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status, priority = excluded.priority, source = excluded.source,
+          next_due = excluded.next_due, created = excluded.created, data = excluded.data
+      `),
+      deleteTags: this.db.prepare('DELETE FROM inquiry_tags WHERE inquiry_id = ?'),
+      insertTag: this.db.prepare('INSERT OR IGNORE INTO inquiry_tags (inquiry_id, tag) VALUES (?, ?)'),
+      all: this.db.prepare('SELECT data FROM inquiries ORDER BY created ASC'),
+      count: this.db.prepare('SELECT COUNT(*) AS n FROM inquiries'),
+      due: this.db.prepare(`
+        SELECT id FROM inquiries
+        WHERE status = 'in_progress' AND next_due IS NOT NULL AND next_due <= ?
+      `),
+      dueForced: this.db.prepare(`
+        SELECT id FROM inquiries WHERE status = 'in_progress' AND next_due IS NOT NULL
+      `),
+      upsertVector: this.db.prepare(`
+        INSERT INTO growth_vectors (id, inquiry_id, created, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data
+      `)
+    };
+  }
+
+  load() {
+    let recoveredFrom = null;
+    if (this.stmts.count.get().n === 0 && fs.existsSync(this.jsonPath)) {
+      recoveredFrom = migrateJsonToSqlite(this.jsonPath, this) ? 'json-migration' : null;
+    }
+    const inquiries = this.stmts.all.all().map(row => JSON.parse(row.data));
+    return { inquiries, recoveredFrom };
+  }
+
+  _write(inquiry) {
+    this.stmts.upsert.run(
+      inquiry.id,
+      inquiry.status || 'in_progress',
+      Number(inquiry.priority) || 0,
+      inquiry.source || null,
+      nextScheduledMs(inquiry),
+      inquiry.created || null,
+      JSON.stringify(inquiry)
+    );
+    this.stmts.deleteTags.run(inquiry.id);
+    for (const tag of inquiry.tags || []) {
+      this.stmts.insertTag.run(inquiry.id, String(tag).toLowerCase());
+    }
+  }
+
+  save(state, changed) {
+    const rows = changed || state.inquiries;
+    this.db.exec('BEGIN');
+    try {
+      for (const inquiry of rows) this._write(inquiry);
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  queryDueIds(nowMs, forceRun) {
+    const rows = forceRun ? this.stmts.dueForced.all() : this.stmts.due.all(nowMs);
+    return rows.map(r => r.id);
+  }
+
+  queryIds({ status, tag, source } = {}) {
+    const where = [];
+    const params = [];
+    let sql = 'SELECT i.id FROM inquiries i';
+    if (tag) {
+      sql += ' JOIN inquiry_tags t ON t.inquiry_id = i.id';
+      where.push('t.tag = ?');
+      params.push(String(tag).toLowerCase());
+    }
+    if (status) {
+      where.push('i.status = ?');
+      params.push(status);
+    }
+    if (source) {
+      where.push('i.source LIKE ?');
+      params.push(`%${source}%`);
+    }
+    if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+    sql += ' ORDER BY i.created ASC';
+    return this.db.prepare(sql).all(...params).map(r => r.id);
+  }
+
+  saveGrowthVector(vector) {
+    this.stmts.upsertVector.run(vector.id, vector.inquiryId || null, vector.created || null, JSON.stringify(vector));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * One-shot import of a legacy inquiries.json into a SQLite backend.
+ * The JSON file is renamed to inquiries.json.migrated afterwards so the
+ * import never runs twice. Returns the number of inquiries imported.
+ */
+function migrateJsonToSqlite(jsonPath, sqliteStorage) {
+  const loaded = loadJsonSafe(jsonPath, { inquiries: [] }, isStoreShape);
+  const inquiries = loaded.data.inquiries;
+  sqliteStorage.save({ inquiries });
+  fs.renameSync(jsonPath, `${jsonPath}.migrated`);
+  return inquiries.length;
+}
+
+function createStorage(agentDir, storageConfig) {
+  const backend = storageConfig?.backend || 'json';
+  if (backend === 'sqlite') return new SqliteStorage(agentDir);
+  if (backend === 'json') return new JsonStorage(agentDir);
+  throw new Error(`Unknown storage backend "${backend}" (expected "json" or "sqlite")`);
+}
+
+module.exports = {
+  createStorage,
+  migrateJsonToSqlite,
+  nextScheduledMs,
+  JsonStorage,
+  SqliteStorage
+};
@@ -0,0 +1,116 @@
+/**
+ * Structured output for the synthesis pass.
+ *
+ * The synthesis pass asks for a JSON object instead of prose so growth
+ * vectors carry fields downstream consumers (crystallization, stability)
+ * can use without re-parsing text. Output is validated against SCHEMA;
+ * runPass retries with a repair prompt before falling back to plain text.
+ */
+
+const SCHEMA = {
+  insight: { type: 'string', required: true, description: 'The distilled insight, 1-3 sentences' },
+  confidence: { type: 'number', required: true, min: 0, max: 1, description: 'How confident the insight is, 0.0-1.0' },
+  implications: { type: 'string[]', required: true, description: 'Concrete practical implications' },
+  openQuestions: { type: 'string[]', required: true, description: 'What remains unresolved (may be empty)' },
+  appliesWhen: { type: 'string', required: true, description: 'The situations in which this insight applies' }
+};
+
+/**
+ * Validate a parsed synthesis object. Returns a list of error strings
+ * (empty when valid).
+ */
+function validate(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['output must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(SCHEMA)) {
+    const v = value[field];
+    if (v === undefined || v === null) {
+      if (rule.required) errors.push(`missing field "${field}"`);
+      continue;
+    }
+    if (rule.type === 'string') {
+      if (typeof v !== 'string' || !v.trim()) errors.push(`"${field}" must be a non-empty string`);
+    } else if (rule.type === 'number') {
+      if (typeof v !== 'number' || !Number.isFinite(v)) {
+        errors.push(`"${field}" must be a number`);
+      } else if (v < rule.min || v > rule.max) {
+        errors.push(`"${field}" must be between ${rule.min} and ${rule.max}`);
+      }
+    } else if (rule.type === 'string[]') {
+      if (!Array.isArray(v) || !v.every(item => typeof item === 'string')) {
+        errors.push(`"${field}" must be an array of strings`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Pull the first JSON object out of an LLM response (tolerates code fences
+ * and leading prose). Returns null if nothing parses.
+ */
+function parse(text) {
+  if (typeof text !== 'string') return null;
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function describeSchema() {
+  return Object.entries(SCHEMA)
+    .map(([field, rule]) => `  "${field}": ${rule.type} — ${rule.description}`)
+    .join('\n');
+}
+
+/**
+ * Instruction appended to the synthesis pass prompt.
+ */
+function formatInstructions() {
+  return [
+    'Respond with ONLY a JSON object (no prose, no code fences) with these fields:',
+    describeSchema()
+  ].join('\n');
+}
+
+function buildRepairPrompt(previousOutput, errors) {
+  return [
+    'Your previous answer did not match the required JSON format.',
+    `Problems: ${errors.join('; ')}`,
+    '',
+    'Previous answer:',
+    previousOutput,
+    '',
+    formatInstructions()
+  ].join('\n');
+}
+
+/**
+ * Normalize a validated object to exactly the schema fields.
+ */
+function normalize(value) {
+  return {
+    insight: value.insight.trim(),
+    confidence: value.confidence,
+    implications: value.implications.map(s => s.trim()).filter(Boolean),
+    openQuestions: value.openQuestions.map(s => s.trim()).filter(Boolean),
+    appliesWhen: value.appliesWhen.trim()
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  validate,
+  parse,
+  normalize,
+  formatInstructions,
+  buildRepairPrompt
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJsonOrReset, writeJsonAtomic, deferredWriter } = require('./atomic');
+
+const WRITE_DELAY_MS = 2000;
+
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function addTo(totals, calls, inputTokens, outputTokens, cost) {
+  totals.calls += calls;
+  totals.inputTokens += inputTokens;
+  totals.outputTokens += outputTokens;
+  totals.cost = Math.round((totals.cost + cost) * 1e6) / 1e6;
+}
+
+/**
+ * Per-agent LLM token and cost accounting, aggregated per UTC day, per task
+ * type (pass, tagging, filter, ...) and per model. Persisted to
+ * data/agents/<id>/usage.json, a couple of seconds after the last record()
+ * rather than on every call (see flush()). An unreadable ledger is restored
+ * from its backup, or else moved aside and started empty
+ * (`recoveredFrom: 'reset'`). Cost uses `budget.pricing[model]`
+ * ({ inputPer1M, outputPer1M }); unpriced models count tokens only.
+ */
+class UsageTracker {
+  constructor(baseDir, agentId, budgetConfig) {
+    this.agentId = agentId || 'main';
+    this.budgetConfig = budgetConfig || {};
+    this.agentDir = path.join(baseDir, 'agents', this.agentId);
+    this.filePath = path.join(this.agentDir, 'usage.json');
+    ensureDir(this.agentDir);
+    const loaded = loadJsonOrReset(this.filePath, { days: {} }, d => !!d && !!d.days && typeof d.days === 'object');
+    this.state = loaded.data;
+    this.recoveredFrom = loaded.recoveredFrom;
+    this.writer = deferredWriter(() => this.persist(), WRITE_DELAY_MS);
+  }
+
+  persist() {
+    ensureDir(this.agentDir);
+    writeJsonAtomic(this.filePath, this.state);
+  }
+
+  /**
+   * Write out usage recorded since the last write.
+   */
+  flush() {
+    this.writer.flush();
+  }
+
+  _cost(model, inputTokens, outputTokens) {
+    const price = this.budgetConfig.pricing?.[model];
+    if (!price) return 0;
+    return (inputTokens * (price.inputPer1M || 0) + outputTokens * (price.outputPer1M || 0)) / 1e6;
+  }
+
+  /**
+   * Record usage for one task. `usage` is { inputTokens, outputTokens, calls? }
+   * as returned by reflect.callLLMDetailed / runPass.
+   */
+  record(task, { model, usage } = {}, nowMs = Date.now()) {
+    if (!usage) return;
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const calls = usage.calls ?? 1;
+    const cost = this._cost(model, inputTokens, outputTokens);
+
+    const key = dayKey(nowMs);
+    const day = this.state.days[key] = this.state.days[key] || { total: emptyTotals(), tasks: {}, models: {} };
+    day.tasks[task] = day.tasks[task] || emptyTotals();
+    const modelKey = model || 'unknown';
+    day.models[modelKey] = day.models[modelKey] || emptyTotals();
+
+    addTo(day.total, calls, inputTokens, outputTokens, cost);
+    addTo(day.tasks[task], calls, inputTokens, outputTokens, cost);
+    addTo(day.models[modelKey], calls, inputTokens, outputTokens, cost);
+
+    this._prune(nowMs);
+    this.writer.schedule();
+  }
+
+  _prune(nowMs) {
+    const retainDays = this.budgetConfig.retainDays ?? 30;
+    const cutoff = dayKey(nowMs - retainDays * 86400000);
+    for (const key of Object.keys(this.state.days)) {
+      if (key < cutoff) delete this.state.days[key];
+    }
+  }
+
+  today(nowMs = Date.now()) {
+    return this.state.days[dayKey(nowMs)] || { total: emptyTotals(), tasks: {}, models: {} };
+  }
+
+  /**
+   * Budget status for today. Exhausted when either `dailyTokens` or
+   * `dailyCost` (whichever are set) has been reached.
+   */
+  getBudgetStatus(nowMs = Date.now()) {
+    const { enabled, dailyTokens, dailyCost } = this.budgetConfig;
+    const total = this.today(nowMs).total;
+    const tokens = total.inputTokens + total.outputTokens;
+    const tokensExhausted = Number.isFinite(dailyTokens) && dailyTokens > 0 && tokens >= dailyTokens;
+    const costExhausted = Number.isFinite(dailyCost) && dailyCost > 0 && total.cost >= dailyCost;
+    return {
+      enabled: !!enabled,
+      exhausted: !!enabled && (tokensExhausted || costExhausted),
+      dailyTokens: dailyTokens ?? null,
+      dailyCost: dailyCost ?? null,
+      usedTokens: tokens,
+      usedCost: total.cost,
+      remainingTokens: Number.isFinite(dailyTokens) ? Math.max(0, dailyTokens - tokens) : null,
+      remainingCost: Number.isFinite(dailyCost) ? Math.max(0, Math.round((dailyCost - total.cost) * 1e6) / 1e6) : null
+    };
+  }
+
+  isExhausted(nowMs = Date.now()) {
+    return this.getBudgetStatus(nowMs).exhausted;
+  }
+
+  /**
+   * Daily breakdowns for the last `days` days, newest first.
+   */
+  getDays(days = 7) {
+    return Object.keys(this.state.days)
+      .sort()
+      .reverse()
+      .slice(0, days)
+      .map(date => ({ date, ...this.state.days[date] }));
+  }
+}
+
+module.exports = UsageTracker;
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const pipelines = require('./pipeline');
+const { loadJsonSafe, writeJsonAtomic } = require('./atomic');
 
 function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) {
@@ -7,41 +9,44 @@ function ensureDir(dirPath) {
   }
 }
 
-function readJson(filePath, fallback) {
-  if (!fs.existsSync(filePath)) return fallback;
-  try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch {
-    return fallback;
-  }
-}
-
 function appendGrowthVector(growthVectorsPath, inquiry) {
   ensureDir(path.dirname(growthVectorsPath));
 
-  const existing = readJson(growthVectorsPath, { vectors: [] });
+  // Throws on a corrupt file rather than appending to an empty list and wiping it
+  const existing = loadJsonSafe(growthVectorsPath, { vectors: [] }, d => !!d && typeof d === 'object').data;
   existing.vectors = existing.vectors || [];
 
-  const pass3 = (inquiry.passes || []).find(p => p.number === 3);
-  existing.vectors.push({
+  const synthesisPass = pipelines.getSynthesisPass(inquiry);
+  const synthesis = (inquiry.passes || []).find(p => p.number === synthesisPass);
+  const vector = {
     id: `gv_${inquiry.id}`,
     inquiryId: inquiry.id,
     question: inquiry.question,
     source: inquiry.source,
     entropy: inquiry.entropy,
-    insight: pass3?.output || '',
+    pipeline: inquiry.pipeline || pipelines.DEFAULT_PIPELINE,
+    insight: synthesis?.structured?.insight || synthesis?.output || '',
+    structured: !!synthesis?.structured,
+    confidence: synthesis?.structured?.confidence ?? null,
+    implications: synthesis?.structured?.implications || [],
+    openQuestions: synthesis?.structured?.openQuestions || [],
+    appliesWhen: synthesis?.structured?.appliesWhen || null,
+    promptVariant: synthesis?.promptVariant || null,
+    cites: [...new Set((inquiry.passes || []).flatMap(p => p.cited || []))],
     completed: inquiry.completed || new Date().toISOString(),
     created: inquiry.created
-  });
+  };
+  existing.vectors.push(vector);
 
   existing.updated = new Date().toISOString();
-  fs.writeFileSync(growthVectorsPath, JSON.stringify(existing, null, 2));
+  writeJsonAtomic(growthVectorsPath, existing);
+  return vector;
 }
 
 function writeInsightFile(insightsPath, inquiry) {
   ensureDir(insightsPath);
   const outPath = path.join(insightsPath, `${inquiry.id}.json`);
-  fs.writeFileSync(outPath, JSON.stringify(inquiry, null, 2));
+  writeJsonAtomic(outPath, inquiry, { backup: false });
 }
 
 module.exports = {
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Local mock LLM provider for offline tests.
+ *
+ * Speaks the three wire formats reflect.detectFormat distinguishes:
+ *   POST /v1/chat/completions  OpenAI-compatible
+ *   POST /v1/messages          Anthropic (use format: "anthropic" — the endpoint isn't anthropic.com)
+ *   POST /api/generate         Ollama native
+ *
+ * Replies are deterministic and shaped for the prompts this plugin sends
+ * (filter classification, gap extraction, topic tags, quality review,
+ * structured synthesis, plain passes).
+ * Pass `respond({ format, model, prompt })` to override the reply text.
+ *
+ * Standalone: node test/mock-llm-server.js [port]
+ */
+
+const http = require('http');
+
+const ROUTES = {
+  '/v1/chat/completions': 'openai',
+  '/v1/messages': 'anthropic',
+  '/api/generate': 'ollama'
+};
+
+function defaultRespond({ model, prompt }) {
+  if (prompt.includes('genuine knowledge gap')) {
+    return JSON.stringify({ isNoise: false, category: 'genuine', confidence: 0.9 });
+  }
+  if (prompt.includes('reviewing the final synthesis')) {
+    return JSON.stringify({ specificity: 0.8, novelty: 0.7, actionability: 0.8, critique: 'Clear enough.' });
+  }
+  if (prompt.includes('looking for knowledge gaps')) {
+    const line = (prompt.match(/^User: (.*)$/m) || [])[1] || '';
+    return JSON.stringify(line ? [{ question: `What is unresolved about: ${line.slice(0, 80)}`, significance: 0.7, quote: line.slice(0, 40) }] : []);
+  }
+  if (prompt.includes('topic tags')) {
+    return JSON.stringify(['mock', 'offline']);
+  }
+  const inquiry = (prompt.match(/^Inquiry: (.*)$/m) || [])[1] || prompt.slice(0, 60);
+  if (prompt.includes('Respond with ONLY a JSON object')) {
+    return JSON.stringify({
+      insight: `Settled view on: ${inquiry}`,
+      confidence: 0.8,
+      implications: ['Check the assumption before acting on it'],
+      openQuestions: [],
+      appliesWhen: 'When the question comes up again'
+    });
+  }
+  const pass = (prompt.match(/^Pass: (\d+)/m) || [])[1] || '?';
+  return `[${model || 'mock'}] Pass ${pass} reflection on: ${inquiry}`;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function payloadFor(format, text, prompt) {
+  const inputTokens = estimateTokens(prompt);
+  const outputTokens = estimateTokens(text);
+  if (format === 'anthropic') {
+    return {
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+    };
+  }
+  if (format === 'ollama') {
+    return { response: text, done: true, prompt_eval_count: inputTokens, eval_count: outputTokens };
+  }
+  return {
+    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens }
+  };
+}
+
+/**
+ * Start the server. Resolves to { url, port, requests, close() };
+ * `requests` collects { format, model, prompt, headers } for assertions.
+ */
+function startMockServer({ port = 0, respond = defaultRespond } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const format = ROUTES[req.url.split('?')[0]];
+    if (req.method !== 'POST' || !format) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `no mock route for ${req.method} ${req.url}` }));
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'invalid JSON body' }));
+        return;
+      }
+
+      const prompt = format === 'ollama' ? body.prompt : body.messages?.[0]?.content;
+      requests.push({ format, model: body.model, prompt, headers: req.headers });
+      const text = respond({ format, model: body.model, prompt: String(prompt || '') });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payloadFor(format, text, prompt)));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startMockServer,
+  defaultRespond
+};
+
+if (require.main === module) {
+  startMockServer({ port: Number(process.argv[2]) || 11435 }).then(({ url }) => {
+    console.log(`Mock LLM server listening on ${url}`);
+    console.log(`  OpenAI:    ${url}/v1/chat/completions`);
+    console.log(`  Anthropic: ${url}/v1/messages (format: "anthropic")`);
+    console.log(`  Ollama:    ${url}/api/generate`);
+  });
+}
@@ -0,0 +1,163 @@
+/**
+ * Offline end-to-end tests: extractor → filter → store → passes → writer,
+ * against the local mock provider (test/mock-llm-server.js) and recorded
+ * fixtures. No network access needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const InquiryStore = require('../lib/inquiry');
+const extractor = require('../lib/extractor');
+const filter = require('../lib/filter');
+const reflect = require('../lib/reflect');
+const writer = require('../lib/writer');
+const fixtures = require('../lib/fixtures');
+const { startMockServer } = require('./mock-llm-server');
+
+const defaults = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.default.json'), 'utf8'));
+
+const MESSAGES = [
+  { role: 'user', content: 'I wonder whether it will rain in Berlin tomorrow, what is the weather forecast?' },
+  { role: 'assistant', content: 'I can\'t check live forecasts.' },
+  { role: 'user', content: 'I wonder how stale lock detection should behave when the system clock jumps backwards?' },
+  { role: 'assistant', content: 'Good question — most lock files compare wall-clock mtimes.' }
+];
+
+// Small talk is blocked by the regex stage (confidence above the LLM
+// fallback threshold, so the filter makes no LLM call)
+const SMALL_TALK = { name: 'small_talk', pattern: '\\bweather\\b', confidence: 0.9, description: 'weather and other small talk' };
+
+function makeConfig(llm) {
+  return {
+    ...defaults,
+    llm: { ...defaults.llm, ...llm },
+    filter: {
+      ...defaults.filter,
+      enabled: true,
+      blockCategories: ['person_name', 'tool_or_app_name', 'agent_self_reference'],
+      customCategories: [SMALL_TALK]
+    }
+  };
+}
+
+/**
+ * Run one conversation through every stage and return the growth vector
+ * plus the pass outputs.
+ */
+async function runPipeline(dir, config) {
+  fs.mkdirSync(dir, { recursive: true });
+  config = { ...config, filter: { ...config.filter, blockedLogPath: path.join(dir, 'blocked.jsonl') } };
+  const gaps = extractor.identifyGaps({
+    messages: MESSAGES,
+    entropy: 0.9,
+    extractionConfig: config.extraction,
+    source: 'exchange_offline'
+  });
+  assert.equal(gaps.length, 2);
+
+  const kept = [];
+  for (const gap of gaps) {
+    const verdict = await filter.shouldBlock(gap.question, config, reflect.callLLM, { agentId: 'main' }, {
+      inquiry: { source: gap.source, context: gap.context }
+    });
+    if (!verdict.blocked) kept.push(gap);
+  }
+  assert.deepEqual(kept.map(g => g.question), [MESSAGES[2].content]);
+  const blocked = filter.readBlocked(config, { agentId: 'main' });
+  assert.deepEqual(
+    blocked.map(e => [e.question, e.category, e.stage, e.inquiry.source]),
+    [['what is the weather forecast?', 'small_talk', 'regex', 'exchange_offline']]
+  );
+
+  const store = new InquiryStore(dir, 'main', config.passes, config.priority, config.pipelines, config.storage);
+  const inquiry = store.addInquiry(kept[0]);
+
+  let due;
+  while ((due = store.getDuePass(Date.now(), true))) {
+    const { output, ...details } = await reflect.runPass({ inquiry: due.inquiry, passNumber: due.passNumber, config });
+    store.completePass(due.inquiry.id, due.passNumber, output, details);
+  }
+
+  const completed = store.list().find(i => i.id === inquiry.id);
+  assert.equal(completed.status, 'completed');
+  const vector = writer.appendGrowthVector(path.join(dir, 'growth-vectors.json'), completed);
+  return { vector, outputs: completed.passes.map(p => p.output) };
+}
+
+test('pipeline runs offline against the mock provider and writes a structured growth vector', async () => {
+  const server = await startMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  try {
+    const config = makeConfig({ endpoint: `${server.url}/v1/chat/completions`, model: 'mock-model' });
+    const { vector, outputs } = await runPipeline(dir, config);
+
+    assert.equal(outputs.length, 3);
+    assert.match(outputs[0], /Pass 1 reflection on: I wonder how stale lock detection/);
+    assert.equal(vector.structured, true);
+    assert.match(vector.insight, /^Settled view on: I wonder how stale lock detection/);
+    assert.equal(vector.confidence, 0.8);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'growth-vectors.json'), 'utf8'));
+    assert.equal(saved.vectors.length, 1);
+    assert.ok(server.requests.every(r => r.format === 'openai' && r.model === 'mock-model'));
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recorded fixtures replay the same pipeline with no provider running', async () => {
+  const server = await startMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const fixtureDir = path.join(dir, 'fixtures');
+  try {
+    fixtures.configure({ mode: 'record', dir: fixtureDir });
+    const recorded = await runPipeline(path.join(dir, 'record'), makeConfig({ endpoint: `${server.url}/api/generate`, model: 'mock-model' }));
+    await server.close();
+    assert.equal(fs.readdirSync(fixtureDir).length, 3);
+
+    fixtures.configure({ mode: 'replay', dir: fixtureDir });
+    // Nothing listens here — every response must come from the fixtures
+    const replayed = await runPipeline(path.join(dir, 'replay'), makeConfig({ endpoint: 'http://127.0.0.1:9/api/generate', model: 'mock-model' }));
+    assert.deepEqual(replayed.outputs, recorded.outputs);
+    assert.equal(replayed.vector.insight, recorded.vector.insight);
+
+    await assert.rejects(
+      reflect.callLLM({ endpoint: 'http://127.0.0.1:9/api/generate', model: 'mock-model', prompt: 'never recorded' }),
+      err => err.code === 'FIXTURE_MISSING'
+    );
+  } finally {
+    fixtures.configure({ mode: 'off' });
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('mock provider speaks the OpenAI, Anthropic and Ollama wire formats', async () => {
+  const server = await startMockServer({ respond: ({ format }) => `hello from ${format}` });
+  try {
+    const openai = await reflect.callLLMDetailed({ endpoint: `${server.url}/v1/chat/completions`, model: 'm', prompt: 'hi there' });
+    const anthropic = await reflect.callLLMDetailed({
+      endpoint: `${server.url}/v1/messages`,
+      format: 'anthropic',
+      apiKey: 'test-key',
+      model: 'm',
+      prompt: 'hi there'
+    });
+    const ollama = await reflect.callLLMDetailed({ endpoint: `${server.url}/api/generate`, model: 'm', prompt: 'hi there' });
+
+    assert.equal(openai.text, 'hello from openai');
+    assert.equal(anthropic.text, 'hello from anthropic');
+    assert.equal(ollama.text, 'hello from ollama');
+    for (const result of [openai, anthropic, ollama]) {
+      assert.deepEqual(result.usage, { inputTokens: 2, outputTokens: 5 });
+    }
+    assert.equal(server.requests[1].headers['x-api-key'], 'test-key');
+  } finally {
+    await server.close();
+  }
+});
@@ -6,6 +6,15 @@ const fs = require('fs');
 
 const InquiryStore = require('../lib/inquiry');
 const extractor = require('../lib/extractor');
+const languages = require('../lib/languages');
+const dedup = require('../lib/dedup');
+const synthesis = require('../lib/synthesis');
+const reflect = require('../lib/reflect');
+const UsageTracker = require('../lib/usage');
+const prompts = require('../lib/prompts');
+const retrieval = require('../lib/retrieval');
+const quality = require('../lib/quality');
+const { Executor } = require('../lib/executor');
 
 test('extractor emits gaps for keyword hit', () => {
   const gaps = extractor.identifyGaps({
@@ -38,3 +47,976 @@ test('inquiry store schedules pass 2 after completing pass 1', () => {
   assert.ok(pass2.scheduled);
   assert.equal(pass2.output, null);
 });
+
+test('inquiry store follows the pipeline template selected by rule', () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const store = new InquiryStore(base, 'agentA', {
+    '1': { delayMs: 0 },
+    '2': { delayMs: 1000 },
+    '3': { delayMs: 1000 }
+  }, {}, {
+    templates: {
+      quick: { synthesisPass: 2, passes: { '1': { delayMs: 0 }, '2': { delayMs: 0 } } }
+    },
+    rules: [{ pipeline: 'quick', tags: ['tool'] }]
+  });
+
+  const inquiry = store.addInquiry({ question: 'How does jq handle streams?', source: 'src', tags: ['tool'] });
+  assert.equal(inquiry.pipeline, 'quick');
+  assert.equal(inquiry.synthesisPass, 2);
+  assert.equal(inquiry.passes.length, 2);
+
+  store.completePass(inquiry.id, 1, 'pass1 output');
+  const updated = store.completePass(inquiry.id, 2, 'pass2 output');
+  assert.equal(updated.status, 'completed');
+
+  const other = store.addInquiry({ question: 'Why do habits form?', source: 'src' });
+  assert.equal(other.pipeline, 'default');
+  assert.equal(other.passes.length, 3);
+
+  // Pass headers count by position when a template skips pass numbers
+  const sparse = { question: 'Why?', synthesisPass: 5, passes: [1, 3, 5].map(number => ({ number })) };
+  assert.match(reflect.buildPrompt({ inquiry: sparse, passNumber: 3, passPrompt: 'Go' }), /^Pass: 2 of 3$/m);
+  assert.match(reflect.buildPrompt({ inquiry: sparse, passNumber: 5, passPrompt: 'Go' }), /^Pass: 3 of 3 \(synthesis\)$/m);
+});
+
+test('inquiry store recovers from backup and refuses to start over a corrupt file', () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const store = new InquiryStore(base, 'agentA', {});
+  store.addInquiry({ question: 'What survives a crash?', source: 'src' });
+  store.addInquiry({ question: 'What survives a second write?', source: 'src' });
+
+  const filePath = path.join(base, 'agents', 'agentA', 'inquiries.json');
+  fs.writeFileSync(filePath, '{"inquiries": [');
+
+  const recovered = new InquiryStore(base, 'agentA', {});
+  assert.equal(recovered.recoveredFrom, 'backup');
+  assert.equal(recovered.list().length, 1);
+
+  fs.writeFileSync(`${filePath}.bak`, '');
+  assert.throws(() => new InquiryStore(base, 'agentA', {}), err => err.code === 'CONTEMPLATION_CORRUPT');
+});
+
+test('json store merges another writer\'s newer inquiries and retries while the lock is held', async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  try {
+    const first = new InquiryStore(base, 'agentA', {});
+    const shared = first.addInquiry({ question: 'Who wins a concurrent write?', source: 'src' });
+
+    // A second process pauses the shared inquiry, then the first adds another
+    const second = new InquiryStore(base, 'agentA', {});
+    await new Promise(resolve => setTimeout(resolve, 5));
+    second.pauseInquiry(shared.id, { by: 'other' });
+    first.addInquiry({ question: 'Does the pause survive?', source: 'src' });
+    const merged = new InquiryStore(base, 'agentA', {});
+    assert.equal(merged.list().length, 2);
+    assert.equal(merged.list().find(i => i.id === shared.id).status, 'paused');
+    assert.equal(shared.status, 'paused');
+
+    // A held lock defers the write instead of blocking
+    const filePath = path.join(base, 'agents', 'agentA', 'inquiries.json');
+    fs.writeFileSync(`${filePath}.lock`, '1');
+    first.addInquiry({ question: 'Is this written later?', source: 'src' });
+    assert.equal(new InquiryStore(base, 'agentA', {}).list().length, 2);
+    fs.unlinkSync(`${filePath}.lock`);
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal(new InquiryStore(base, 'agentA', {}).list().length, 3);
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+let hasSqlite = true;
+try { require('node:sqlite'); } catch { try { require('better-sqlite3'); } catch { hasSqlite = false; } }
+
+test('sqlite backend migrates inquiries.json and answers indexed queries', { skip: !hasSqlite && 'no SQLite driver' }, () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const passes = { '1': { delayMs: 0 }, '2': { delayMs: 0 } };
+  const legacy = new InquiryStore(base, 'agentA', passes);
+  legacy.addInquiry({ question: 'What does WAL mode change?', source: 'manual', tags: ['sqlite'] });
+  legacy.addInquiry({ question: 'Why do habits form?', source: 'agent_end' });
+
+  const store = new InquiryStore(base, 'agentA', passes, {}, {}, { backend: 'sqlite' });
+  assert.equal(store.recoveredFrom, 'json-migration');
+  assert.equal(store.list().length, 2);
+  assert.deepEqual(store.find({ tag: 'sqlite' }).map(i => i.question), ['What does WAL mode change?']);
+
+  const due = store.getDuePass();
+  store.completePass(due.inquiry.id, due.passNumber, 'pass1 output');
+
+  const reopened = new InquiryStore(base, 'agentA', passes, {}, {}, { backend: 'sqlite' });
+  assert.equal(reopened.recoveredFrom, null);
+  assert.equal(reopened.list().find(i => i.id === due.inquiry.id).passes[0].output, 'pass1 output');
+});
+
+test('paused inquiries are skipped until resumed and cancelled ones never run', () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const store = new InquiryStore(base, 'agentA', { '1': { delayMs: 0 }, '2': { delayMs: 0 } });
+  const keep = store.addInquiry({ question: 'Why does the cache miss at night?', source: 'src' });
+  const junk = store.addInquiry({ question: 'What is Herr Müller doing?', source: 'src' });
+
+  store.pauseInquiry(keep.id, { by: 'tester', reason: 'later' });
+  store.cancelInquiry(junk.id, { by: 'tester', reason: 'noise' });
+  assert.equal(store.getDuePass(Date.now(), true), null);
+  assert.equal(store.resumeInquiry(junk.id).error, 'cannot_resume_from_cancelled');
+  assert.equal(store.cancelInquiry(junk.id).error, 'cannot_cancel_from_cancelled');
+  assert.equal(store.pauseInquiry(junk.id).error, 'cannot_pause_from_cancelled');
+  assert.equal(store.abandonInquiry(junk.id).error, 'cannot_abandon_from_cancelled');
+
+  store.resumeInquiry(keep.id, { by: 'tester' });
+  assert.equal(store.getDuePass().inquiry.id, keep.id);
+  assert.deepEqual(keep.statusHistory.map(h => h.to), ['paused', 'in_progress']);
+  assert.equal(keep.statusHistory[0].reason, 'later');
+});
+
+test('failed passes back off and dead-letter after maxAttempts', () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const store = new InquiryStore(base, 'agentA', { '1': { delayMs: 0 }, '2': { delayMs: 0 } });
+  const inquiry = store.addInquiry({ question: 'Why does the endpoint return 400?', source: 'src' });
+  const retry = { maxAttempts: 2, baseDelayMs: 60000, maxDelayMs: 600000 };
+
+  store.failPass(inquiry.id, 1, new Error('context overflow'), retry);
+  assert.equal(inquiry.passes[0].attempts, 1);
+  assert.ok(Date.parse(inquiry.passes[0].retryAt) > Date.now());
+  assert.equal(store.getDuePass(Date.now(), true), null);
+
+  store.failPass(inquiry.id, 1, new Error('context overflow'), retry);
+  assert.equal(inquiry.status, 'failed');
+  assert.equal(inquiry.passes[0].lastError.message, 'context overflow');
+
+  assert.equal(store.resumeInquiry(inquiry.id).error, 'cannot_resume_from_failed');
+  store.retryInquiry(inquiry.id, { by: 'tester' });
+  assert.equal(inquiry.status, 'in_progress');
+  assert.equal(store.getDuePass().inquiry.id, inquiry.id);
+});
+
+test('priority aging lets long-waiting inquiries overtake fresh high-priority ones', () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const store = new InquiryStore(base, 'agentA', { '1': { delayMs: 0 } }, {
+    aging: { enabled: true, pointsPerHour: 10, maxBoost: 50, maxWaitMs: 48 * 3600000 }
+  });
+  const low = store.addInquiry({ question: 'What drives the nightly entropy spikes?', source: 'metabolism:x', priority: 5 });
+  const high = store.addInquiry({ question: 'Why did I misread the user correction?', source: 'correction' });
+  const hour = 3600000;
+  const now = Date.now();
+
+  low.passes[0].scheduled = new Date(now - 10 * hour).toISOString();
+  assert.deepEqual(store.getEffectivePriority(low, now), { priority: 55, boost: 50, waitedMs: 10 * hour, overdue: false });
+  assert.equal(store.getDuePass(now).inquiry.id, high.id);
+
+  low.passes[0].scheduled = new Date(now - 49 * hour).toISOString();
+  assert.equal(store.getEffectivePriority(low, now).overdue, true);
+  assert.equal(store.getDuePass(now).inquiry.id, low.id);
+
+  // A failing pass keeps its due time: it ages through its backoff and runs
+  // first as overdue once retryAt has passed
+  store.failPass(low.id, 1, new Error('timeout'), { baseDelayMs: hour });
+  assert.equal(store.getDuePass(now).inquiry.id, high.id);
+  assert.equal(store.getEffectivePriority(low, now + 2 * hour).waitedMs, 51 * hour);
+  assert.equal(store.getDuePass(now + 2 * hour).inquiry.id, low.id);
+});
+
+test('near-duplicate questions merge into the existing inquiry', async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const store = new InquiryStore(base, 'agentA', { '1': { delayMs: 0 } });
+  const original = store.addInquiry({ question: 'How does SQLite WAL mode affect concurrent writes?', source: 'exchange_1' });
+  store.addInquiry({ question: 'Why do habits form so slowly?', source: 'exchange_1' });
+
+  const incoming = { question: 'What are the implications of WAL mode for concurrent writers?', source: 'metabolism:abc', context: 'WAL discussion' };
+  const match = await dedup.findDuplicate({ question: incoming.question, candidates: store.getDedupCandidates(), dedupConfig: {} });
+  assert.equal(match.inquiry.id, original.id);
+  assert.equal(match.method, 'tokens');
+
+  store.mergeInquiry(match.inquiry.id, incoming, match);
+  assert.equal(store.list().length, 2);
+  assert.deepEqual(original.sources, ['exchange_1', 'metabolism:abc']);
+  assert.match(original.context, /WAL discussion/);
+
+  const unrelated = await dedup.findDuplicate({ question: 'When should the filter call the LLM stage?', candidates: store.getDedupCandidates(), dedupConfig: {} });
+  assert.equal(unrelated, null);
+
+  // Only the candidates with the most token overlap are embedded, into a bounded cache
+  const EmbeddingCache = require('../lib/embedding-cache');
+  const embedded = [];
+  const embed = async ({ input }) => {
+    embedded.push(input);
+    return input.includes('WAL') ? [1, 0] : [0, 1];
+  };
+  const embeddingCache = new EmbeddingCache(1);
+  const semantic = await dedup.findDuplicate({
+    question: incoming.question,
+    candidates: store.getDedupCandidates(),
+    dedupConfig: { maxEmbedCandidates: 1, embedding: { endpoint: 'http://local/api/embed' } },
+    embed,
+    embeddingCache
+  });
+  assert.deepEqual([semantic.inquiry.id, semantic.method], [original.id, 'embedding']);
+  assert.deepEqual(embedded, [incoming.question, original.question]);
+  embeddingCache.set('other', [0, 1]);
+  assert.deepEqual([...embeddingCache.keys()], ['other']);
+});
+
+test('synthesis output is parsed from fenced JSON and validated against the schema', () => {
+  const good = synthesis.parse('Here you go:\n```json\n{"insight": "WAL lets readers proceed during writes.", "confidence": 0.8, "implications": ["Enable WAL for the store"], "openQuestions": [], "appliesWhen": "Single-writer SQLite workloads"}\n```');
+  assert.deepEqual(synthesis.validate(good), []);
+
+  const bad = synthesis.parse('{"insight": "", "confidence": 3, "implications": "none"}');
+  assert.deepEqual(synthesis.validate(bad), [
+    '"insight" must be a non-empty string',
+    '"confidence" must be between 0 and 1',
+    '"implications" must be an array of strings',
+    'missing field "openQuestions"',
+    'missing field "appliesWhen"'
+  ]);
+  assert.equal(synthesis.parse('no json here'), null);
+});
+
+test('callLLM fails over to the next provider and opens the circuit on repeated failures', async () => {
+  const originalFetch = global.fetch;
+  const hits = [];
+  global.fetch = async (url) => {
+    hits.push(url);
+    if (url.includes('down')) return { ok: false, status: 503, text: async () => 'unavailable' };
+    return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'served' } }] }) };
+  };
+
+  try {
+    const opts = {
+      prompt: 'hi',
+      providers: [
+        { name: 'down-local', endpoint: 'http://down.local/v1/chat/completions', model: 'a' },
+        { name: 'backup', endpoint: 'http://backup.local/v1/chat/completions', model: 'b' }
+      ],
+      circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 }
+    };
+
+    const first = await reflect.callLLMDetailed(opts);
+    assert.equal(first.text, 'served');
+    assert.equal(first.provider.name, 'backup');
+
+    await reflect.callLLMDetailed(opts);
+    await reflect.callLLMDetailed(opts);
+    assert.equal(hits.filter(u => u.includes('down')).length, 2);
+    assert.equal(reflect.getProviderHealth().find(p => p.name === 'down-local').open, true);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('per-task LLM overrides inherit unset keys from config.llm', () => {
+  const llm = {
+    endpoint: 'http://127.0.0.1:11434/v1/chat/completions',
+    model: 'big-model',
+    temperature: 0.6,
+    maxTokens: 700,
+    providers: [{ name: 'local' }, { name: 'openrouter', endpoint: 'https://openrouter.ai/api/v1/chat/completions', model: 'remote' }]
+  };
+
+  const tagging = reflect.resolveLLMOptions(llm, { model: 'small-model', temperature: 0.3 });
+  assert.equal(tagging.model, 'small-model');
+  assert.equal(tagging.temperature, 0.3);
+  assert.equal(tagging.maxTokens, 700);
+  assert.deepEqual(tagging.providers.map(p => p.model), ['small-model', 'small-model']);
+
+  const pass = reflect.resolveLLMOptions(llm, { provider: 'openrouter', maxTokens: 1200 });
+  assert.deepEqual(pass.providers.map(p => p.name), ['openrouter']);
+  assert.equal(pass.maxTokens, 1200);
+
+  const direct = reflect.resolveLLMOptions(llm, { endpoint: 'http://other/v1/chat/completions' });
+  assert.equal(direct.providers, undefined);
+  assert.equal(direct.endpoint, 'http://other/v1/chat/completions');
+});
+
+test('usage is read from provider responses and enforced against the daily budget', async () => {
+  const originalFetch = global.fetch;
+  global.fetch = async () => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ response: 'ok', prompt_eval_count: 120, eval_count: 80 })
+  });
+
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  try {
+    const result = await reflect.callLLMDetailed({ endpoint: 'http://local/api/generate', model: 'm1', prompt: 'hi' });
+    assert.deepEqual(result.usage, { inputTokens: 120, outputTokens: 80 });
+
+    const budget = { enabled: true, dailyTokens: 300, pricing: { m1: { inputPer1M: 1, outputPer1M: 2 } } };
+    const usage = new UsageTracker(base, 'main', budget);
+    usage.record('pass', { model: result.provider.model, usage: result.usage });
+    assert.equal(usage.today().tasks.pass.calls, 1);
+    assert.equal(usage.today().total.cost, 0.00028);
+    assert.equal(usage.isExhausted(), false);
+
+    usage.record('tagging', { model: 'm1', usage: result.usage });
+    const status = usage.getBudgetStatus();
+    assert.equal(status.exhausted, true);
+    assert.equal(status.remainingTokens, 0);
+
+    // Persisted (batched — flush() writes now) and reloaded per agent
+    usage.flush();
+    const reloaded = new UsageTracker(base, 'main', budget);
+    assert.equal(reloaded.today().total.inputTokens, 240);
+    assert.equal(reloaded.getDays(1)[0].models.m1.calls, 2);
+
+    // A corrupt ledger falls back to its backup, or else starts empty
+    const usagePath = path.join(base, 'agents', 'main', 'usage.json');
+    reloaded.record('pass', { model: 'm1', usage: result.usage });
+    reloaded.flush();
+    fs.writeFileSync(usagePath, '{"days":');
+    const restored = new UsageTracker(base, 'main', budget);
+    assert.equal(restored.recoveredFrom, 'backup');
+    assert.equal(restored.today().total.inputTokens, 240);
+    fs.writeFileSync(usagePath, '');
+    fs.writeFileSync(`${usagePath}.bak`, '');
+    const reset = new UsageTracker(base, 'main', budget);
+    assert.equal(reset.recoveredFrom, 'reset');
+    assert.equal(reset.today().total.calls, 0);
+
+    // A synthesis whose repair call fails keeps its prose and the answered call's usage
+    let requests = 0;
+    global.fetch = async () => (++requests === 1
+      ? { ok: true, status: 200, json: async () => ({ response: 'not json', prompt_eval_count: 50, eval_count: 10 }) }
+      : { ok: false, status: 400, text: async () => 'bad request' });
+    const inquiry = new InquiryStore(base, 'main', {}).addInquiry({ question: 'Why do retries cluster?', source: 'test' });
+    const fallback = await reflect.runPass({ inquiry, passNumber: 3, config: { llm: { endpoint: 'http://local/api/generate' } }, agentId: 'main' });
+    assert.equal(fallback.output, 'not json');
+    assert.equal(fallback.structured, null);
+    assert.equal(fallback.repairs, 1);
+    assert.match(fallback.structuredErrors.at(-1), /^repair call failed: LLM request failed \(400\)/);
+    assert.deepEqual(fallback.usage, { inputTokens: 50, outputTokens: 10, calls: 1 });
+  } finally {
+    global.fetch = originalFetch;
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test('pass prompts come from workspace templates and the drawn variant sticks to the inquiry', async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const promptsDir = path.join(base, 'prompts');
+  fs.mkdirSync(promptsDir);
+  fs.writeFileSync(path.join(promptsDir, 'pass.socratic.md'), 'Agent {{agentId}} asks: {{question}} [{{tags}}] {{unknown}}');
+
+  const promptsConfig = { variants: { pass: { default: 1, socratic: 3 } } };
+  assert.equal(prompts.pickVariant(promptsConfig.variants.pass, () => 0.1), 'default');
+  assert.equal(prompts.pickVariant(promptsConfig.variants.pass, () => 0.5), 'socratic');
+  assert.equal(prompts.resolveTemplate('pass', { dir: promptsDir, promptsConfig, variant: 'missing', random: () => 0.5 }).variant, 'socratic');
+
+  const originalFetch = global.fetch;
+  const sent = [];
+  global.fetch = async (url, opts) => {
+    sent.push(JSON.parse(opts.body).messages[0].content);
+    return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'reflection' } }] }) };
+  };
+
+  try {
+    const store = new InquiryStore(base, 'main', {});
+    const inquiry = store.addInquiry({ question: 'Why do retries cluster?', source: 'test', tags: ['retry'] });
+    inquiry.passes[0].promptVariant = 'socratic';
+    const config = { llm: { endpoint: 'http://local/v1/chat/completions' }, prompts: promptsConfig };
+    const result = await reflect.runPass({ inquiry, passNumber: 2, config, agentId: 'saphira', promptsDir });
+
+    assert.equal(result.promptVariant, 'socratic');
+    assert.equal(sent[0], 'Agent saphira asks: Why do retries cluster? [retry] {{unknown}}');
+  } finally {
+    global.fetch = originalFetch;
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test('related growth vectors are ranked, packed under the token budget and cited', async () => {
+  const inquiry = { id: 'inq_new', question: 'Why do retry storms overload the embedding server?', tags: ['retry'], passes: [] };
+  const vectors = [
+    { id: 'gv_inq_a', inquiryId: 'inq_a', question: 'How should retry backoff avoid overloading a server?', insight: 'Jittered exponential backoff spreads retry storms out.' },
+    { id: 'gv_inq_b', inquiryId: 'inq_b', question: 'What makes a good commit message?', insight: 'Say what changed and why.' },
+    { id: 'gv_inq_c', inquiryId: 'inq_c', question: 'Do retry storms overload servers?', insight: 'x'.repeat(4000) }
+  ];
+  const inquiries = [{ id: 'inq_a', status: 'completed', tags: ['retry'], passes: [] }];
+
+  const candidates = retrieval.collectCandidates({ inquiry, vectors, inquiries });
+  const ranked = await retrieval.rankRelated({ inquiry, candidates });
+  assert.deepEqual(ranked.map(r => r.id).sort(), ['gv_inq_a', 'gv_inq_c']);
+
+  // With embeddings, only the best keyword matches are embedded and ranked
+  const embedded = [];
+  const embed = async ({ input }) => {
+    embedded.push(input);
+    return [1, 0];
+  };
+  const semantic = await retrieval.rankRelated({
+    inquiry,
+    candidates,
+    retrievalConfig: { maxEmbedCandidates: 2 },
+    embed,
+    embedding: { endpoint: 'http://local/api/embed' }
+  });
+  assert.equal(embedded.length, 3);
+  assert.deepEqual(semantic.map(r => [r.id, r.method]).sort(), [['gv_inq_a', 'embedding'], ['gv_inq_c', 'embedding']]);
+
+  // The oversized insight doesn't fit the budget and is skipped
+  const related = retrieval.buildContext(ranked, { tokenBudget: 200, maxItems: 5 });
+  assert.deepEqual(related.items.map(i => i.id), ['gv_inq_a']);
+  assert.ok(retrieval.estimateTokens(related.text) <= 200);
+
+  const originalFetch = global.fetch;
+  let sent = null;
+  global.fetch = async (url, opts) => {
+    sent = JSON.parse(opts.body).messages[0].content;
+    return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'As [gv_inq_a] found, add jitter.' } }] }) };
+  };
+  try {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+    const store = new InquiryStore(base, 'main', {});
+    const stored = store.addInquiry({ question: inquiry.question, source: 'test' });
+    const config = { llm: { endpoint: 'http://local/v1/chat/completions' } };
+    const result = await reflect.runPass({ inquiry: stored, passNumber: 2, config, related });
+    assert.match(sent, /\[gv_inq_a\] Q: How should retry backoff/);
+    assert.deepEqual(result.retrieved.map(r => r.id), ['gv_inq_a']);
+    assert.deepEqual(result.cited, ['gv_inq_a']);
+
+    const plain = await reflect.runPass({ inquiry: stored, passNumber: 1, config });
+    assert.doesNotMatch(sent, /\{\{related\}\}|Related past insights/);
+    assert.equal(plain.retrieved, undefined);
+    fs.rmSync(base, { recursive: true, force: true });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('quality gate re-runs a weak synthesis with its critique, then marks it low_quality', async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  const store = new InquiryStore(base, 'main', { '1': { delayMs: 0 } });
+  const inquiry = store.addInquiry({ question: 'Why do retries cluster?', source: 'test' });
+
+  const evaluation = await quality.evaluate({
+    inquiry,
+    passNumber: 1,
+    result: { output: 'It depends.' },
+    qualityConfig: { threshold: 0.6 },
+    call: async () => '{"specificity": 0.1, "novelty": 0.2, "actionability": 0.3, "critique": "Name the cause."}'
+  });
+  assert.equal(evaluation.score, 0.2);
+  assert.equal(evaluation.passed, false);
+
+  store.rejectPass(inquiry.id, 1, 'It depends.', evaluation);
+  assert.equal(store.getDuePass(Date.now()).passNumber, 1);
+  assert.equal(inquiry.quality.score, 0.2);
+
+  const originalFetch = global.fetch;
+  let sent = null;
+  global.fetch = async (url, opts) => {
+    sent = JSON.parse(opts.body).messages[0].content;
+    return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'Still vague.' } }] }) };
+  };
+  try {
+    const config = { llm: { endpoint: 'http://local/v1/chat/completions' }, synthesis: { structured: false } };
+    await reflect.runPass({ inquiry, passNumber: 1, config });
+    assert.match(sent, /rejected your previous answer for this pass \(score 0\.2\):\nName the cause\./);
+    assert.match(sent, /Rejected answer:\nIt depends\./);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  store.completePass(inquiry.id, 1, 'Still vague.');
+  store.recordEvaluation(inquiry.id, evaluation);
+  const { inquiry: low } = store.markLowQuality(inquiry.id, evaluation);
+  assert.equal(low.status, 'low_quality');
+  assert.equal(low.quality.evaluations.length, 2);
+  assert.deepEqual(store.getCompletedUnpersisted(), []);
+  fs.rmSync(base, { recursive: true, force: true });
+});
+
+test('executor starts agents round-robin under the concurrency cap and holds calls to the RPM limit', async () => {
+  const executor = new Executor({ maxConcurrent: 2, rpm: { slow: 2 } });
+  const order = [];
+  let running = 0;
+  let peak = 0;
+  const job = (label) => async () => {
+    running++;
+    peak = Math.max(peak, running);
+    order.push(label);
+    await new Promise(resolve => setImmediate(resolve));
+    running--;
+  };
+
+  await Promise.all([
+    executor.submit('busy', job('busy-1')),
+    executor.submit('busy', job('busy-2')),
+    executor.submit('busy', job('busy-3')),
+    executor.submit('quiet', job('quiet-1')),
+    executor.submit('other', job('other-1'))
+  ]);
+  assert.equal(peak, 2);
+  // One pass per agent at a time: the busy agent's backlog doesn't delay the others
+  assert.deepEqual(order.slice(0, 3), ['busy-1', 'quiet-1', 'other-1']);
+  assert.equal(executor.stats().completedPasses, 5);
+
+  // Third call to a 2-rpm provider has to wait for the window
+  const calls = [];
+  for (let i = 0; i < 3; i++) {
+    calls.push(Promise.race([
+      executor.call('slow', async () => i),
+      new Promise(resolve => setTimeout(() => resolve('waiting'), 50))
+    ]));
+  }
+  assert.deepEqual(await Promise.all(calls), [0, 1, 'waiting']);
+  assert.deepEqual(executor.stats().rpm.slow, { lastMinute: 2, limit: 2 });
+  assert.equal(await executor.call('fast', async () => 'unlimited'), 'unlimited');
+});
+
+const LANGUAGE_CASES = {
+  en: {
+    gap: 'I wonder whether the retry queue drains before the worker shuts down.',
+    question: 'Yesterday the deploy stalled again. Why would the cache keep serving stale entries after a flush?',
+    conversational: 'Would you like me to look at why the cache keeps serving stale entries?',
+    noise: 'Who has the best deals on page 3 of the catalogue this week?'
+  },
+  de: {
+    gap: 'Ich frage mich, ob die Warteschlange vor dem Herunterfahren wirklich leer ist.',
+    question: 'Gestern hing das Deployment wieder. Warum liefert der Cache nach dem Leeren noch alte Einträge?',
+    conversational: 'Kannst du dir anschauen, wie der Cache nach dem Leeren noch alte Einträge liefern kann?',
+    noise: 'Wer hat die besten Angebote auf Seite 3 des Katalogs in dieser Woche?'
+  },
+  es: {
+    gap: 'Me pregunto por qué la cola de reintentos no se vacía antes del apagado.',
+    question: 'Ayer el despliegue se quedó colgado otra vez. ¿Por qué la caché sigue sirviendo datos viejos después de vaciarla?',
+    conversational: '¿Puedes revisar por qué la caché sigue sirviendo datos viejos después de vaciarla?',
+    noise: '¿Quién tiene las mejores ofertas en la página 3 del catálogo esta semana?'
+  },
+  fr: {
+    gap: 'Je me demande pourquoi la file de relance ne se vide pas avant l\'arrêt du service.',
+    question: 'Hier le déploiement a encore bloqué. Pourquoi est-ce que le cache sert encore des données périmées après une purge ?',
+    conversational: 'Peux-tu regarder pourquoi le cache sert encore des données périmées après une purge ?',
+    noise: 'Qui a les meilleures offres à la page 3 du catalogue cette semaine ?'
+  }
+};
+
+for (const [code, sample] of Object.entries(LANGUAGE_CASES)) {
+  test(`${code} language pack detects its messages, extracts gaps and drops conversational and document noise`, () => {
+    const extract = content => extractor.identifyGaps({
+      messages: [{ role: 'user', content }],
+      entropy: 1,
+      extractionConfig: { maxGapsPerExchange: 2 }
+    });
+    const { packs } = languages.loadPacks();
+
+    for (const text of [sample.gap, sample.question, sample.conversational, sample.noise]) {
+      assert.equal(languages.detectLanguage(text, packs), code, text);
+    }
+
+    const gaps = extract(sample.gap);
+    assert.equal(gaps.length, 1);
+    assert.equal(gaps[0].language, code);
+    assert.equal(gaps[0].question, sample.gap);
+
+    assert.deepEqual(extract(sample.question).map(g => g.question), [sample.question.split(/(?<=\.)\s+/)[1]]);
+    assert.deepEqual(extract(sample.conversational), []);
+    assert.deepEqual(extract(sample.noise), []);
+  });
+}
+
+test('user language packs add languages, extend built-ins and skip broken patterns', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  fs.writeFileSync(path.join(dir, 'it.json'), JSON.stringify({
+    stopwords: ['il', 'la', 'che', 'non', 'perché', 'si', 'mi', 'di'],
+    gapPatterns: ['mi chiedo\\s+(.{15,}?)(?:\\.|$)']
+  }));
+  fs.writeFileSync(path.join(dir, 'nl.json'), '{ not json');
+
+  try {
+    const languagesConfig = {
+      enabled: ['en'],
+      dir,
+      packs: {
+        en: { gapPatterns: ['I keep thinking about\\s+(.{15,}?)(?:\\.|$)'] },
+        xx: { gapPatterns: ['('] }
+      }
+    };
+    const { packs, errors } = languages.loadPacks(languagesConfig);
+    assert.deepEqual(Object.keys(packs).sort(), ['en', 'it']);
+    assert.deepEqual(errors.map(e => e.code), ['LANGUAGE_PACK_INVALID', 'LANGUAGE_PACK_INVALID']);
+
+    const extract = content => extractor.identifyGaps({
+      messages: [{ role: 'user', content }],
+      entropy: 1,
+      extractionConfig: { languages: languagesConfig }
+    }).map(g => [g.language, g.question]);
+
+    assert.deepEqual(extract('Mi chiedo perché la coda non si svuota mai prima dello spegnimento.'),
+      [['it', 'Mi chiedo perché la coda non si svuota mai prima dello spegnimento.']]);
+    // Extended, not replaced: the built-in English patterns still apply
+    assert.deepEqual(extract('I keep thinking about how the queue drains on shutdown.').map(([lang]) => lang), ['en']);
+    assert.equal(extract('I wonder whether the retry queue drains before shutdown.').length, 1);
+    // German is not enabled
+    assert.deepEqual(extract('Ich frage mich, ob die Warteschlange vor dem Herunterfahren leer ist.'), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('llm extraction finds implicit gaps, drops low-significance ones and merges with regex hits', async () => {
+  const messages = [
+    { role: 'user', content: 'The worker restarts every night around 3am.' },
+    { role: 'assistant', content: 'That lines up with the log rotation cron, which sends SIGHUP.' },
+    { role: 'user', content: 'Maybe, but that still doesn\'t explain the 3am spikes in memory. I wonder whether the cache is rebuilt on every restart.' }
+  ];
+  const sent = [];
+  const call = async prompt => {
+    sent.push(prompt);
+    return 'Here you go:\n' + JSON.stringify([
+      { question: 'What causes the memory spikes at 3am if log rotation does not?', significance: 0.9, quote: 'still doesn\'t explain the 3am spikes' },
+      { question: 'Is the cache rebuilt on every worker restart?', significance: 0.6, quote: 'I wonder whether the cache is rebuilt' },
+      { question: 'What time is it?', significance: 0.1 },
+      { question: 'short' }
+    ]);
+  };
+  const extractionConfig = { maxGapsPerExchange: 3, llm: { minSignificance: 0.5 } };
+
+  const llmGaps = await extractor.identifyGapsLLM({ messages, extractionConfig, source: 'sess_1', call });
+  assert.match(sent[0], /Assistant: That lines up with the log rotation cron/);
+  assert.deepEqual(llmGaps.map(g => [g.question, g.significance, g.method]), [
+    ['What causes the memory spikes at 3am if log rotation does not?', 0.9, 'llm'],
+    ['Is the cache rebuilt on every worker restart?', 0.6, 'llm']
+  ]);
+  assert.equal(llmGaps[0].quote, 'still doesn\'t explain the 3am spikes');
+  assert.equal(llmGaps[0].source, 'sess_1');
+
+  const regexGaps = extractor.identifyGaps({ messages, entropy: 1, extractionConfig, source: 'sess_1' });
+  assert.deepEqual(regexGaps.map(g => g.question), ['I wonder whether the cache is rebuilt on every restart.']);
+
+  const merged = extractor.mergeGaps(regexGaps, llmGaps, 3);
+  assert.deepEqual(merged.map(g => [g.method, g.question]).sort(), [
+    ['hybrid', 'I wonder whether the cache is rebuilt on every restart.'],
+    ['llm', 'What causes the memory spikes at 3am if log rotation does not?']
+  ]);
+  assert.equal(merged.find(g => g.method === 'hybrid').significance, 0.6);
+  assert.deepEqual(extractor.parseExtraction('no gaps here'), []);
+});
+
+test('gap candidates are ranked and the best-scoring ones raise inquiry priority', () => {
+  const content = 'How does it work in general terms here? '
+    + 'Why does the Postgres WAL checkpoint stall under heavy UPDATE load on v15? '
+    + 'I wonder whether the retry queue survives a pgbouncer restart during failover.';
+  const extract = (openQuestions = []) => extractor.identifyGaps({
+    messages: [{ role: 'user', content }],
+    entropy: 1,
+    extractionConfig: { maxGapsPerExchange: 2 },
+    openQuestions
+  });
+
+  // The shallow question comes first in the text but last in the ranking
+  const gaps = extract();
+  assert.deepEqual(gaps.map(g => g.question), [
+    'I wonder whether the retry queue survives a pgbouncer restart during failover.',
+    'Why does the Postgres WAL checkpoint stall under heavy UPDATE load on v15?'
+  ]);
+  assert.equal(gaps[0].scoreFactors.wonder, 1);
+  assert.ok(gaps[1].score > extractor.scoreGap('How does it work in general terms here?').score);
+
+  // Restating an open inquiry costs novelty
+  const [repeat] = extract(['Does the retry queue survive a pgbouncer restart during failover?'])
+    .filter(g => g.question.startsWith('I wonder'));
+  assert.ok(repeat.scoreFactors.novelty < 0.5);
+  assert.ok(repeat.score < gaps[0].score);
+
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  try {
+    const store = new InquiryStore(base, 'main', {});
+    const strong = store.addInquiry({ ...gaps[0], source: 'exchange_1' });
+    const plain = store.addInquiry({ question: 'How does it work in general terms here?', source: 'exchange_1', entropy: 1 });
+    assert.equal(strong.gapScore, gaps[0].score);
+    assert.equal(strong.priority, Math.round(10 + gaps[0].score * 20));
+    assert.equal(plain.priority, 10);
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test('each gap gets the sentences around it, the assistant turn it answered and its origin', () => {
+  const messages = [
+    { role: 'user', content: 'We moved the worker to a new host last week.' },
+    { role: 'assistant', content: 'The log rotation cron sends SIGHUP at 3am, which restarts the worker and flushes its caches.' },
+    { role: 'user', content: 'Deploys are on Tuesdays. Nothing else changed. The dashboards look normal. '
+      + 'I wonder whether the cache gets rebuilt on every restart. That would explain a lot. '
+      + 'Unrelated note here. Another aside about lunch. '
+      + 'Why does the Postgres WAL checkpoint stall under heavy UPDATE load on v15?' }
+  ];
+  const origin = { sessionId: 'sess_1', exchangeId: 'ex_9' };
+  const gaps = extractor.identifyGaps({
+    messages,
+    entropy: 1,
+    extractionConfig: { maxGapsPerExchange: 2 },
+    source: 'ex_9',
+    origin
+  });
+  const byStart = Object.fromEntries(gaps.map(g => [g.question.slice(0, 3), g]));
+
+  assert.equal(byStart['I w'].context, [
+    'From: session sess_1, exchange ex_9',
+    'Assistant (previous turn): The log rotation cron sends SIGHUP at 3am, which restarts the worker and flushes its caches.',
+    'User: Nothing else changed. The dashboards look normal. I wonder whether the cache gets rebuilt on every restart. That would explain a lot.'
+  ].join('\n'));
+  assert.match(byStart.Why.context, /User: Unrelated note here\. Another aside about lunch\. Why does the Postgres/);
+  assert.doesNotMatch(byStart.Why.context, /Deploys are on Tuesdays/);
+  assert.deepEqual(byStart.Why.origin, origin);
+
+  // LLM candidates are placed by their quote
+  const context = extractor.buildGapContext({
+    turns: [{ role: 'assistant', text: 'x'.repeat(700) }, { role: 'user', text: 'First. Second. Third one here. Fourth.' }],
+    needle: 'third one',
+    source: 'exchange_1',
+    contextConfig: { sentencesBefore: 0, sentencesAfter: 0, assistantChars: 20 }
+  });
+  assert.equal(context, `From: exchange_1\nAssistant (previous turn): …${'x'.repeat(20)}\nUser: Third one here.`);
+});
+
+test('context blocks registered by other plugins are stripped before extraction', () => {
+  const { ContextBlockRegistry } = require('../lib/context-blocks');
+  const registry = new ContextBlockRegistry();
+  // A header block runs to the next registered header or the end of the message
+  const message = [
+    '[Mon 2026-10-19 09:30 CET] I wonder whether the scheduler drops jobs during DST transitions.',
+    '<notes>How would the notes plugin rank older entries against new ones?</notes>',
+    'Recall score: 0.8',
+    '[RECALL CONTEXT]',
+    'Why does the recall index lag behind writes by several minutes?',
+    '[STABILITY CONTEXT]',
+    'Entropy: 0.4'
+  ].join('\n');
+
+  // Unregistered blocks leak in as questions
+  assert.match(registry.strip(message).text, /recall index lag/);
+
+  registry.register('recall', {
+    blocks: [{ name: 'recall', header: 'RECALL CONTEXT' }, { name: 'notes', start: '<notes>', end: '</notes>' }],
+    lineMarkers: ['Recall score:']
+  });
+  const { text, removed } = registry.strip(message);
+  assert.equal(text, 'I wonder whether the scheduler drops jobs during DST transitions.');
+  assert.deepEqual(removed.map(r => `${r.kind}:${r.source}:${r.name}`), [
+    'block:builtin:stability',
+    'block:recall:recall',
+    'block:recall:notes',
+    'timestamp:builtin:timestamp',
+    'line:recall:Recall score:'
+  ]);
+
+  // An indented marker only matches the indented form
+  assert.equal(registry.strip('  You said: the cron runs hourly\nYou said: why does it skip?').text, 'You said: why does it skip?');
+
+  assert.throws(() => registry.register('broken', { blocks: [{ name: 'x' }] }), { code: 'CONTEXT_BLOCK_INVALID' });
+  assert.equal(registry.unregister('recall'), true);
+  assert.match(registry.strip(message).text, /recall index lag/);
+
+  // The extractor uses the shared registry; the debug view shows each removal
+  const explained = extractor.explainCleaning('```js\ncode()\n```\n[GROWTH VECTORS]\nold insight?');
+  assert.equal(explained.text, '');
+  assert.deepEqual(explained.removed.map(r => r.kind), ['block', 'code']);
+});
+
+test('agent hedging turns the reply\'s own uncertainty into gaps without its explanations', () => {
+  const messages = [
+    { role: 'user', content: 'When does the nightly job run after the clocks change?' },
+    { role: 'assistant', content: 'The job runs at 02:00 local time. How does cron pick that time? It reads the system timezone. '
+      + 'I wonder if you would like a diagram. I\'m not sure what you mean by "after the clocks change" here. '
+      + 'I\'m not certain how the scheduler handles DST transitions for jobs inside the skipped hour. '
+      + 'I believe, though I haven\'t verified, that the retry window is measured in UTC.' }
+  ];
+  const extractionConfig = { maxGapsPerExchange: 2, agentHedging: { enabled: true, maxGaps: 2 } };
+
+  // The regex extractor still reads user turns only
+  assert.ok(extractor.identifyGaps({ messages, entropy: 1, extractionConfig })
+    .every(g => !/cron pick|diagram|not certain/.test(g.question)));
+
+  const gaps = extractor.identifyHedgeGaps({ messages, extractionConfig, origin: { sessionId: 's1', exchangeId: 'e1' } });
+  assert.deepEqual(gaps.map(g => g.question).sort(), [
+    'I believe, though I haven\'t verified, that the retry window is measured in UTC.',
+    'I\'m not certain how the scheduler handles DST transitions for jobs inside the skipped hour.'
+  ]);
+  assert.ok(gaps.every(g => g.source === 'agent_hedge' && g.method === 'hedge'));
+  const dst = gaps.find(g => g.question.includes('DST'));
+  assert.match(dst.context, /^From: session s1, exchange e1\nUser \(previous turn\): When does the nightly job run/);
+  assert.match(dst.context, /\nAssistant: .*I'm not certain how the scheduler handles DST/);
+
+  // Pattern set is separate: no hedges, no gaps, whatever else the reply asks
+  assert.deepEqual(extractor.identifyHedgeGaps({
+    messages: [{ role: 'assistant', content: 'Why does the WAL checkpoint stall under heavy UPDATE load? Because of full_page_writes.' }],
+    extractionConfig
+  }), []);
+
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  try {
+    const store = new InquiryStore(base, 'main', {}, { agentHedge: 5, agentHedgeMultiplier: 40 });
+    const inquiry = store.addInquiry({ ...dst, entropy: 1 });
+    assert.equal(inquiry.source, 'agent_hedge');
+    assert.equal(inquiry.priority, Math.round(5 + dst.score * 40));
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test('allow and deny lists decide before the filter stages and blocked entries can be restored', async () => {
+  const filter = require('../lib/filter');
+  const FilterLists = require('../lib/filter-lists');
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  try {
+    const config = {
+      filter: {
+        enabled: true,
+        blockCategories: ['person_name'],
+        llmFallbackThreshold: 0.5,
+        logBlocked: true,
+        blockedLogPath: path.join(base, 'blocked.jsonl')
+      }
+    };
+    const lists = new FilterLists(base, 'main');
+    const options = { lists, inquiry: { source: 'manual', context: 'User: Zeitgeist', score: 0.4, priority: 120, pipeline: 'deep', tags: ['culture'] } };
+
+    // A one-word German noun trips the person-name heuristic
+    const blocked = await filter.shouldBlock('Zeitgeist', config, null, { agentId: 'main' }, options);
+    assert.equal(blocked.category, 'person_name');
+    const [entry] = filter.readBlocked(config, { agentId: 'main' });
+    assert.match(entry.id, /^blk_/);
+    assert.deepEqual(entry.inquiry, options.inquiry);
+
+    // A restore brings back the logged gap fields, minus anything of the wrong type
+    const restored = filter.restoredGap({ ...entry, inquiry: { ...entry.inquiry, entropy: 'high', id: 'inq_forged', status: 'completed' } });
+    assert.deepEqual(restored, {
+      question: 'Zeitgeist',
+      context: 'User: Zeitgeist',
+      source: 'manual',
+      origin: null,
+      entropy: undefined,
+      score: 0.4,
+      priority: 120,
+      tags: ['culture'],
+      pipeline: 'deep'
+    });
+    assert.equal(filter.readBlocked(config, { agentId: 'other' }).length, 0);
+
+    lists.add('allow', { question: '  zeitgeist ', blockedId: entry.id });
+    assert.equal((await filter.shouldBlock('Zeitgeist', config, null, { agentId: 'main' }, options)).blocked, false);
+
+    // Deny patterns apply even with the filter off; allowed questions still win
+    lists.add('deny', { pattern: '^(?:zeitgeist|weltschmerz)$' });
+    const denied = await filter.shouldBlock('Weltschmerz', { filter: { ...config.filter, enabled: false } }, null, { agentId: 'main' }, options);
+    assert.equal(denied.category, 'deny_list');
+    assert.equal((await filter.shouldBlock('Zeitgeist', config, null, { agentId: 'main' }, options)).blocked, false);
+    assert.throws(() => lists.add('deny', { pattern: '(' }), { code: 'FILTER_LIST_INVALID' });
+
+    // Lists persist per agent; restores are appended, not rewritten
+    assert.equal(new FilterLists(base, 'main').match('ZEITGEIST').list, 'allow');
+    filter.recordRestore(config, { id: entry.id, agentId: 'main', inquiryId: 'inq_1' });
+    const entries = filter.readBlocked(config, { agentId: 'main' });
+    assert.deepEqual(entries.map(e => [e.question, e.restored?.inquiryId ?? null]), [['Zeitgeist', 'inq_1'], ['Weltschmerz', null]]);
+
+    // A corrupt lists file falls back to its backup instead of failing
+    const listsPath = path.join(base, 'agents', 'main', 'filter-lists.json');
+    fs.writeFileSync(listsPath, '{"allow": [');
+    const recovered = new FilterLists(base, 'main');
+    assert.equal(recovered.recoveredFrom, 'backup');
+    assert.equal(recovered.match('Zeitgeist').list, 'allow');
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test('filter classifier modes pick the stages and custom categories reach the regex and LLM stages', async () => {
+  const filter = require('../lib/filter');
+  const prompts = [];
+  const callLLM = async ({ prompt }) => {
+    prompts.push(prompt);
+    return prompt.includes('Question: "Is it raining in Berlin today?"')
+      ? '{"isNoise": true, "category": "weather_small_talk", "confidence": 0.8}'
+      : '{"isNoise": false, "category": "genuine", "confidence": 0.9}';
+  };
+  const configFor = (classifierMode) => ({
+    filter: {
+      enabled: true,
+      classifierMode,
+      blockCategories: ['person_name'],
+      llmFallbackThreshold: 0.7,
+      customCategories: [
+        { name: 'ticket_id', pattern: '^[A-Z]+-\\d+$', confidence: 0.9, description: 'a bare issue-tracker ticket id' },
+        { name: 'weather_small_talk', description: 'small talk about the weather' },
+        { name: 'person_name', pattern: 'x' },
+        { name: 'broken', pattern: '(' }
+      ]
+    }
+  });
+
+  const { categories, errors } = filter.loadCategories(configFor('hybrid').filter);
+  assert.deepEqual(categories.map(c => c.name), ['ticket_id', 'weather_small_talk', 'person_name']);
+  assert.deepEqual(errors.map(e => e.code), ['FILTER_CATEGORY_INVALID', 'FILTER_CATEGORY_INVALID']);
+
+  // regex: custom patterns block, low-confidence hits block without asking the model
+  const regex = configFor('regex');
+  assert.equal((await filter.shouldBlock('OPS-1234', regex, callLLM)).category, 'ticket_id');
+  assert.equal((await filter.shouldBlock('Zeitgeist', regex, callLLM)).stage, 'regex');
+  assert.equal(prompts.length, 0);
+
+  // hybrid: only the low-confidence hit goes to the model, with the category descriptions
+  const hybrid = configFor('hybrid');
+  assert.equal((await filter.shouldBlock('OPS-1234', hybrid, callLLM)).stage, 'regex');
+  assert.equal((await filter.shouldBlock('Zeitgeist', hybrid, callLLM)).blocked, false);
+  assert.equal((await filter.shouldBlock('Is it raining in Berlin today?', hybrid, callLLM)).blocked, false);
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0], /- weather_small_talk: small talk about the weather/);
+  assert.match(prompts[0], /"category": "ticket_id\|weather_small_talk\|person_name\|genuine"/);
+
+  // llm: every question goes to the model; a failing call falls back to regex
+  const llm = configFor('llm');
+  const verdict = await filter.shouldBlock('Is it raining in Berlin today?', llm, callLLM);
+  assert.deepEqual([verdict.blocked, verdict.category, verdict.stage], [true, 'weather_small_talk', 'llm']);
+  const failing = async () => { throw new Error('down'); };
+  assert.equal((await filter.shouldBlock('OPS-1234', llm, failing)).stage, 'regex');
+});
+
+test('classifier verdicts and tags are cached per question and model until they expire or are invalidated', async () => {
+  const filter = require('../lib/filter');
+  const LLMCache = require('../lib/llm-cache');
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'contemplation-test-'));
+  try {
+    const cache = new LLMCache(base, 'main', { ttlMs: 1000 });
+    let calls = 0;
+    const callLLM = async () => {
+      calls++;
+      return '{"isNoise": true, "category": "person_name", "confidence": 0.8}';
+    };
+    const config = {
+      llm: { model: 'model-a' },
+      filter: { enabled: true, classifierMode: 'llm', logBlocked: false }
+    };
+
+    const first = await filter.shouldBlock('Who is  Zeitgeist?', config, callLLM, {}, { cache });
+    const second = await filter.shouldBlock('who is zeitgeist?', config, callLLM, {}, { cache });
+    assert.equal(calls, 1);
+    assert.deepEqual([second.blocked, second.category, second.cached], [first.blocked, first.category, true]);
+
+    // Another model doesn't share entries
+    await filter.shouldBlock('Who is Zeitgeist?', { ...config, filter: { ...config.filter, model: 'model-b' } }, callLLM, {}, { cache });
+    assert.equal(calls, 2);
+
+    // Entries persist, expire after ttlMs, and can be invalidated by kind or model
+    cache.set('tagging', 'model-a', 'Who is Zeitgeist?', ['culture']);
+    assert.equal(fs.existsSync(path.join(base, 'agents', 'main', 'llm-cache.json')), false);
+    cache.flush();
+    const reloaded = new LLMCache(base, 'main', { ttlMs: 1000 });
+    assert.deepEqual(reloaded.get('tagging', 'model-a', 'WHO IS ZEITGEIST?'), ['culture']);
+    assert.equal(reloaded.get('tagging', 'model-a', 'Who is Zeitgeist?', Date.now() + 2000), undefined);
+    assert.deepEqual(reloaded.stats().entries, { classifier: 2, tagging: 1 });
+    assert.deepEqual(reloaded.stats().byKind.tagging, { hits: 1, misses: 1 });
+    assert.equal(reloaded.invalidate({ kind: 'classifier', model: 'model-b' }), 1);
+    assert.equal(reloaded.invalidate(), 2);
+    assert.equal(new LLMCache(base, 'main').get('classifier', 'model-a', 'Who is Zeitgeist?'), undefined);
+
+    // A corrupt cache file is moved aside and the cache starts empty
+    const cachePath = path.join(base, 'agents', 'main', 'llm-cache.json');
+    fs.writeFileSync(cachePath, '{"entries": {');
+    const reset = new LLMCache(base, 'main');
+    assert.equal(reset.recoveredFrom, 'reset');
+    assert.deepEqual(reset.stats().entries, {});
+    assert.ok(fs.existsSync(`${cachePath}.corrupt`));
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});